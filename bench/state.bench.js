@@ -0,0 +1,127 @@
+import { performance } from "perf_hooks";
+
+import Joi from "joi";
+import Joistor from "../joistor.js";
+
+// run with: npm run bench [-- <list size>]
+const SIZE = Number(process.argv[2]) || 10000;
+
+const SCHEMA = {
+	settings: Joi.object({ theme: Joi.string(), pageSize: Joi.number() }),
+	list: Joi.array().items(
+		Joi.object({
+			id: Joi.number(),
+			name: Joi.string(),
+			position: Joi.number(),
+		})
+	),
+};
+
+function createStore() {
+	const store = Joistor({ errorLog: false });
+	const list = Array.from({ length: SIZE }, (_, i) => ({ id: i, name: `item ${i}`, position: i }));
+	store.register(SCHEMA, { settings: { theme: "dark", pageSize: 50 }, list });
+	return store;
+}
+
+// read path before proxies were cached: every top-level read walked the whole state to check the key exists and every
+// read of an object created a new proxy
+function createBaselineState(rawState) {
+	function stateFields(obj, fields = []) {
+		const keys = Object.keys({ ...obj });
+		fields.push(...keys);
+		for (const key of keys) {
+			if (typeof obj[key] === "object") {
+				stateFields(obj[key], fields);
+			}
+		}
+		return fields;
+	}
+
+	const fieldHandler = {
+		get(obj, prop) {
+			const value = obj[prop];
+			return value && typeof value === "object" ? new Proxy(value, fieldHandler) : value;
+		},
+	};
+
+	return new Proxy(rawState, {
+		get(obj, prop) {
+			if (!stateFields(obj).includes(prop)) return;
+			return fieldHandler.get(obj, prop);
+		},
+	});
+}
+
+function bench(iterations, fn) {
+	// warm up before measuring
+	for (let i = 0; i < Math.min(iterations, 100); i++) fn(i);
+
+	const start = performance.now();
+	for (let i = 0; i < iterations; i++) fn(i);
+	const duration = performance.now() - start;
+
+	const ops = (iterations / duration) * 1000;
+	return ops < 100 ? Number(ops.toFixed(1)) : Math.round(ops);
+}
+
+function compare(name, { before, after }, fn) {
+	const beforeOps = bench(before, (i) => fn(baselineState, i));
+	const afterOps = bench(after, (i) => fn(state, i));
+	return { name, "before ops/sec": beforeOps, "after ops/sec": afterOps, speedup: `${(afterOps / beforeOps).toFixed(1)}x` };
+}
+
+const store = createStore();
+const { state } = store;
+const baselineState = createBaselineState(structuredClone(store.getSnapshot()));
+let sink = 0;
+
+const reads = [
+	compare("top-level read", { before: 100, after: 100000 }, (state) => {
+		sink += state.settings.pageSize;
+	}),
+	compare("list item read", { before: 100, after: 100000 }, (state, i) => {
+		sink += state.list[i % SIZE].position;
+	}),
+	compare("list iteration", { before: 10, after: 10 }, (state) => {
+		for (const item of state.list) sink += item.position;
+	}),
+];
+
+// proxies keep their identity across reads and writes, so they can be held and compared
+const list = state.list;
+const item = state.list[SIZE - 1];
+const writes = [
+	{
+		name: "list item write",
+		"ops/sec": bench(100, (i) => {
+			state.list[i % SIZE].position = i;
+		}),
+	},
+	{
+		name: "list push and pop",
+		"ops/sec": bench(100, (i) => {
+			state.list.push({ id: SIZE, name: "pushed", position: i });
+			state.list.pop();
+		}),
+	},
+	{
+		name: "snapshot after write",
+		"ops/sec": bench(100, (i) => {
+			state.settings.pageSize = i;
+			sink += store.getSnapshot().list.length;
+		}),
+	},
+];
+
+const identity = [
+	{ check: "state.list === state.list", before: baselineState.list === baselineState.list, after: state.list === state.list },
+	{ check: "list held across writes", before: false, after: state.list === list },
+	{ check: "item held across writes", before: false, after: state.list[SIZE - 1] === item },
+];
+
+console.log(`list size: ${SIZE}`);
+console.table(reads);
+console.table(writes);
+console.table(identity);
+if (sink === 0) console.log(sink);
@@ -0,0 +1,93 @@
+/**
+ * Codecs for serializing Joistor state. A codec is an object with an encode(value) function returning a string and a
+ * decode(string) function returning the value, used by serialize and restore of the store and by the persistence
+ * adapters. Codecs encoding to JSON can also have encodeJSON(value) and decodeJSON(json) functions converting values
+ * to and from JSON values, used to embed state in JSON documents.
+ * @example
+ * const store = Joistor({ codec: jsonCodec({ indent: 2 }) })
+ */
+
+const BUILTIN_TYPES = [
+	{
+		name: "undefined",
+		is: (value) => value === undefined,
+		encode: () => null,
+		decode: () => undefined,
+	},
+	{
+		name: "BigInt",
+		is: (value) => typeof value === "bigint",
+		encode: (value) => value.toString(),
+		decode: (value) => BigInt(value),
+	},
+	{
+		name: "Date",
+		is: (value) => value instanceof Date,
+		encode: (value) => value.toISOString(),
+		decode: (value) => new Date(value),
+	},
+	{
+		name: "Map",
+		is: (value) => value instanceof Map,
+		encode: (value, encode) => [...value].map(([key, item]) => [encode(key), encode(item)]),
+		decode: (value, decode) => new Map(value.map(([key, item]) => [decode(key), decode(item)])),
+	},
+	{
+		name: "Set",
+		is: (value) => value instanceof Set,
+		encode: (value, encode) => [...value].map(encode),
+		decode: (value, decode) => new Set(value.map(decode)),
+	},
+];
+
+/**
+ * Function for creating a codec encoding state as JSON. Values JSON cannot represent are encoded as
+ * { $type, value } objects, including undefined, BigInt, Date, Map and Set and the types in opts.types.
+ * @param {object} opts - options for configuring the codec
+ * @param {number} opts.indent - indentation of the JSON
+ * @param {object[]} opts.types - additional types, each with a unique name, an is(value) function and encode(value)
+ * and decode(value) functions converting the value to and from JSON
+ * @returns {object} codec with encode, decode, encodeJSON and decodeJSON functions
+ * @example
+ * const codec = jsonCodec({ types: [{ name: "URL", is: (value) => value instanceof URL, encode: String, decode: (value) => new URL(value) }] })
+ */
+export function jsonCodec(opts = { indent: 0 }) {
+	const types = [...(opts.types || []), ...BUILTIN_TYPES];
+
+	function encodeValue(value) {
+		const type = types.find((type) => type.is(value));
+		if (type) return { $type: type.name, value: type.encode(value, encodeValue) };
+
+		if (Array.isArray(value)) return value.map(encodeValue);
+		if (value && typeof value === "object") {
+			const encoded = Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeValue(item)]));
+			// objects with their own $type are wrapped so they are not decoded as a type
+			return "$type" in encoded ? { $type: "Object", value: encoded } : encoded;
+		}
+		return value;
+	}
+
+	function decodeValue(value) {
+		if (Array.isArray(value)) return value.map(decodeValue);
+		if (!value || typeof value !== "object") return value;
+
+		if (value.$type === "Object") return decodeEntries(value.value);
+		if ("$type" in value) {
+			const type = types.find((type) => type.name === value.$type);
+			if (!type) throw new Error(`Unknown type ${value.$type}`);
+			return type.decode(value.value, decodeValue);
+		}
+		return decodeEntries(value);
+	}
+
+	function decodeEntries(value) {
+		return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeValue(item)]));
+	}
+
+	return {
+		encode: (value) => JSON.stringify(encodeValue(value), null, opts.indent),
+		decode: (text) => decodeValue(JSON.parse(text)),
+		encodeJSON: encodeValue,
+		decodeJSON: decodeValue,
+	};
+}
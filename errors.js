@@ -0,0 +1,53 @@
+/**
+ * Base class of the errors reported by Joistor
+ * @param {string} message - error message
+ * @param {object} info - information about the operation causing the error
+ * @param {string} info.field - registered field the error occurred on
+ * @param {string} info.path - full path the error occurred on
+ * @param {*} info.value - value that was attempted to be written
+ * @param {*} info.previousValue - value before the attempted write
+ * @param {string} info.operation - operation causing the error, e.g. set, push, transaction, register, undo
+ * @param {Error} info.cause - underlying error
+ */
+export class JoistorError extends Error {
+	constructor(message, info = {}) {
+		super(message, info.cause ? { cause: info.cause } : undefined);
+		this.name = this.constructor.name;
+		this.field = info.field;
+		this.path = info.path;
+		this.value = info.value;
+		this.previousValue = info.previousValue;
+		this.operation = info.operation;
+	}
+}
+
+/**
+ * Error reported when a state fails its schema or a rule, details holds the joi error details
+ */
+export class JoistorValidationError extends JoistorError {
+	constructor(message, info = {}) {
+		super(message, info);
+		this.details = info.details || [];
+	}
+}
+
+/**
+ * Error reported when a field without a registered schema is validated or written to
+ */
+export class JoistorSchemaMissingError extends JoistorError {}
+
+/**
+ * Error thrown when the history cannot be moved, e.g. jumping to an unknown checkpoint
+ */
+export class JoistorHistoryError extends JoistorError {}
+
+/**
+ * Error reported when state of an older schema version cannot be migrated to the registered version
+ */
+export class JoistorMigrationError extends JoistorError {
+	constructor(message, info = {}) {
+		super(message, info);
+		this.fromVersion = info.fromVersion;
+		this.toVersion = info.toVersion;
+	}
+}
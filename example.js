@@ -1,9 +1,8 @@
-// import fs from "fs";
-
 // import Joi from "joi";
 // import Joistor from "./joistor.js";
+// import { fileAdapter } from "./persist-file.js";
 
-// const store = Joistor({ errorLog: true });
+// const store = Joistor({ errorLog: true, persist: { adapter: fileAdapter("./data.json"), throttle: 100 } });
 
 // store.onError((error, state) => {
 // 	console.log(error);
@@ -14,8 +13,6 @@
 // 	console.log("registered state: ", state);
 // });
 
-// const data = fs.readFileSync("./data.json", { encoding: "utf8" });
-
 // store.register(
 // 	{
 // 		user: Joi.object({
@@ -23,13 +20,14 @@
 // 			name: Joi.string(),
 // 		}),
 // 	},
-// 	JSON.parse(data)
+// 	{
+// 		user: {
+// 			id: 1,
+// 			name: "Michael",
+// 		},
+// 	}
 // );
 
-// store.onChange("user", (state, field, fieldState, prop, value) => {
-// 	fs.writeFileSync("./data.json", JSON.stringify(state));
-// });
-
 // store.state.user.name = "Bert";
 // store.state.user = { id: 10, name: "Sarah" };
 
@@ -1,360 +1,2688 @@
-/**
- * Function for creating a new Joistor object
- * @param {object} opts - options for configuring joistor object
- * @param {boolean} opts.errorLog - flag for setting if default errors are logged
- * @param {number} opts.historyBuffer - max number of states to store in history
- * @param {boolean} opts.strict - flag for setting type casting during validation checks
- * @returns
- */
-function Joistor(opts = { errorLog: true, historyBuffer: 20, strict: false }) {
-	let updateHistory = false;
-
-	let schema = {};
-	let state = new Proxy({}, stateRegisterProxyHandler());
-	let history = { undo: [], redo: [] };
-
-	let onRegisterCallbacks = [];
-	let onUnregisterCallbacks = [];
-	let onChangeCallbacks = {};
-	let onErrorCallbacks = [
-		(error, state) => {
-			if (opts.errorLog) {
-				console.log(error);
-			}
-		},
-	];
-
-	// ========= Public API =========
-
-	/**
-	 * Register a new schema and default state
-	 * @param {*} schemaObj - joi schema object
-	 * @param {*} stateObj - default state object
-	 * @example
-	 * register({ user: Joi.object({ name: Joi.string().required() }) }, { user: { name: "John Doe" } })
-	 */
-	function register(schemaObj, stateObj) {
-		updateHistory = false;
-		const field = Object.keys(schemaObj)[0];
-		schema[field] = schemaObj[field];
-		state[field] = stateObj[field];
-		updateHistory = true;
-
-		executeRegisterCallbacks(field);
-	}
-
-	/**
-	 * Unregister a schema and state
-	 * @param {string} field - field to unregister
-	 * @example
-	 * register({ user: Joi.object({ name: Joi.string().required() }) }, { user: { name: "John Doe" } })
-	 * unregister("user")
-	 */
-	function unregister(field) {
-		delete schema[field];
-		delete state[field];
-
-		executeUnregisterCallbacks(field);
-	}
-
-	/**
-	 * Add callbacks to be executed after a field is registered
-	 * @param {function} callback - callback function to be executed after registering a field
-	 * @param {*} callback.field - field being registered
-	 * @param {*} callback.state - state after registering field
-	 * @example
-	 * onRegister((field, state) => console.log(`${field} has been registered`))
-	 */
-	function onRegister(callback) {
-		onRegisterCallbacks.push(callback);
-	}
-
-	/**
-	 * Add callbacks to be executed after a field is unregistered
-	 * @param {function} callback - callback function to be executed after unregistering a field
-	 * @param {*} callback.field - field being unregistered
-	 * @param {*} callback.state - state after unregistering field
-	 * @example
-	 * onUnregister((field, state) => console.log(`${field} has been removed`))
-	 */
-	function onUnregister(callback) {
-		onUnregisterCallbacks.push(callback);
-	}
-
-	/**
-	 * Add callbacks to be executed after a change occurs
-	 * @param {string} path - path to the uppermost state field to listen to
-	 * @param {function} callback - callback function to call when the field is updated
-	 * @param {*} callback.state - state after change occurs
-	 * @param {*} callback.field - field that was changed
-	 * @param {*} callback.prop - property of the field that was changed
-	 * @param {*} callback.value - value that the property was changed to
-	 * @example
-	 * onChange("user", (state, field, prop, value) => console.log(`${prop} of ${field} was updated to ${value}`))
-	 */
-	function onChange(path, callback) {
-		if (!onChangeCallbacks[path]) onChangeCallbacks[path] = [];
-		onChangeCallbacks[path].push(callback);
-	}
-
-	/**
-	 * Add callbacks to be executed after an error occurs
-	 * @param {function} callback - callback function to be executed after unregistering a field
-	 * @param {*} callback.error - error message
-	 * @param {*} callback.state - state after error occurred
-	 * @example
-	 * onError((error, state) => logger.error(`Error: ${error} (State: ${state})))
-	 */
-	function onError(callback) {
-		onErrorCallbacks.push(callback);
-	}
-
-	/**
-	 * Undo the last state change
-	 * @example
-	 * store.state.user.name = "John Doe"
-	 * store.state.user.name = "Jane Doe"
-	 * undo()
-	 * console.log(store.state.user.name) ==> "John Doe"
-	 */
-	function undo() {
-		if (history.undo.length === 0) return;
-
-		const { removeUndo } = updateUndoHistory();
-		const { addRedo } = updateRedoHistory(state);
-
-		const prevState = removeUndo();
-		addRedo();
-
-		updateUndoRedoState(prevState);
-	}
-
-	/**
-	 * Redo the last state change
-	 * @example
-	 * store.state.user.name = "John Doe"
-	 * store.state.user.name = "Jane Doe"
-	 * undo()
-	 * console.log(store.state.user.name) ==> "John Doe"
-	 * redo()
-	 * console.log(store.state.user.name) ==> "Jane Doe"
-	 */
-	function redo() {
-		if (history.redo.length === 0) return;
-
-		const { removeRedo } = updateRedoHistory();
-		const { addUndo } = updateUndoHistory(state);
-
-		const nextState = removeRedo();
-		addUndo();
-
-		updateUndoRedoState(nextState);
-	}
-
-	// ========= Private API =========
-
-	function stateRegisterProxyHandler() {
-		function stateRegisterProxyGetter(obj, prop) {
-			const props = stateFields(obj);
-			if (!props.includes(prop)) return;
-			if (Array.isArray(obj[prop]) || typeof obj[prop] === "object") {
-				return new Proxy(obj[prop], stateFieldProxyHandler(prop));
-			}
-			return obj[prop];
-		}
-
-		function stateRegisterProxySetter(obj, prop, value) {
-			// update history, calling updateHistory() here will save the current state for calling addUndo() later
-			const { addUndo } = updateUndoHistory(state);
-			const { clearRedo } = updateRedoHistory();
-
-			// save old value and update state
-			const oldValue = obj[prop];
-			obj[prop] = value;
-
-			// validate state with schema
-			const { error } = validate(obj, prop);
-			if (error) {
-				if (oldValue) {
-					obj[prop] = oldValue;
-				} else {
-					delete obj[prop];
-				}
-				executeValidationErrorCallbacks(valid.error);
-				return true;
-			}
-
-			// add undo history
-			addUndo();
-			clearRedo();
-
-			// call onChange callbacks
-			executeChangeCallbacks(prop);
-
-			return true;
-		}
-
-		return {
-			get: stateRegisterProxyGetter,
-			set: stateRegisterProxySetter,
-		};
-	}
-
-	function stateFieldProxyHandler(baseProp) {
-		function stateFieldProxyGetter(obj, prop) {
-			if (Array.isArray(obj[prop]) || typeof obj[prop] === "object") {
-				return new Proxy(obj[prop], stateFieldProxyHandler(baseProp));
-			}
-			return obj[prop];
-		}
-
-		function stateFieldProxySetter(obj, prop, value) {
-			// update history, calling updateHistory() here will save the current state for calling addUndo() later
-			const { addUndo } = updateUndoHistory(state);
-			const { clearRedo } = updateRedoHistory();
-
-			// save old value and update state
-			const oldValue = obj[prop];
-			obj[prop] = value;
-
-			// validate state with schema
-			const { error } = validate(state, baseProp);
-			if (error) {
-				// undo update
-				obj[prop] = oldValue;
-				executeValidationErrorCallbacks(valid.error);
-				return true;
-			}
-
-			// add undo
-			addUndo();
-			clearRedo();
-
-			// call onChange callbacks
-			executeChangeCallbacks(baseProp, prop, value);
-
-			return true;
-		}
-
-		return {
-			get: stateFieldProxyGetter,
-			set: stateFieldProxySetter,
-		};
-	}
-
-	function executeRegisterCallbacks(field) {
-		onRegisterCallbacks.forEach((callback) => callback(field, state));
-	}
-
-	function executeUnregisterCallbacks(field) {
-		onUnregisterCallbacks.forEach((callback) => callback(field, state));
-	}
-
-	function executeChangeCallbacks(field, prop, value) {
-		if (onChangeCallbacks[field]) {
-			onChangeCallbacks[field].forEach((callback) => callback(state, field, prop, value));
-		}
-	}
-
-	function executeValidationErrorCallbacks(error) {
-		onErrorCallbacks.forEach((callback) => callback(error, state));
-	}
-
-	function updateUndoRedoState(newState) {
-		const oldStateFields = Object.keys(state);
-		const newStateFields = Object.keys(newState);
-
-		const fieldsAreTheSame = oldStateFields.every((field) => newStateFields.includes(field));
-
-		// check if fields are the same
-		if (!fieldsAreTheSame) {
-			throw new Error("New state fields are not the same as old state fields");
-		}
-
-		newStateFields.forEach((field) => {
-			// set updateHistory to false to prevent history being updated on the next set of state
-			// state is being updated to a previous state, so no need to update history
-			updateHistory = false;
-
-			state[field] = newState[field];
-		});
-
-		updateHistory = true;
-	}
-
-	function updateUndoHistory(obj = {}) {
-		const undoObj = JSON.parse(JSON.stringify(obj));
-		return {
-			addUndo: () => {
-				if (!updateHistory) return;
-				history.undo.push(undoObj);
-				if (history.undo.length > opts.historyBuffer) history.undo.shift();
-			},
-			removeUndo: () => {
-				return history.undo.pop();
-			},
-		};
-	}
-
-	function updateRedoHistory(obj = {}) {
-		const redoObj = JSON.parse(JSON.stringify(obj));
-		return {
-			addRedo: () => {
-				if (!updateHistory) return;
-				history.redo.push(redoObj);
-				if (history.redo.length > opts.historyBuffer) history.redo.shift();
-			},
-			removeRedo: () => {
-				return history.redo.pop();
-			},
-			clearRedo: () => {
-				if (!updateHistory) return;
-				history.redo = [];
-			},
-		};
-	}
-
-	function validate(obj, field) {
-		if (!schema[field]) {
-			console.log(`No schema for ${field}`);
-			return;
-		}
-
-		let valid;
-		if (opts.strict) {
-			valid = schema[field].strict().validate(obj[field]);
-		} else {
-			valid = schema[field].validate(obj[field]);
-		}
-
-		// returns { error, value }
-		return valid;
-	}
-
-	function stateFields(obj, fields = []) {
-		const keys = Object.keys({ ...obj });
-		fields.push(...keys);
-		for (const key of keys) {
-			if (typeof obj[key] === "object") {
-				stateFields(obj[key], fields);
-			}
-		}
-		return fields;
-	}
-
-	return {
-		state,
-		schema,
-		history,
-		register,
-		unregister,
-		onRegister,
-		onUnregister,
-		onChange,
-		onError,
-		undo,
-		redo,
-	};
-}
-
-export default Joistor;
+import { jsonCodec } from "./codec.js";
+import { toValidator } from "./validators.js";
+import { JoistorError, JoistorHistoryError, JoistorMigrationError, JoistorSchemaMissingError, JoistorValidationError } from "./errors.js";
+
+const ARRAY_MUTATORS = ["push", "pop", "splice", "sort", "reverse", "shift", "unshift", "fill", "copyWithin"];
+
+const DEFAULT_OPTIONS = { errorLog: true, throwErrors: false, historyBuffer: 20, historySize: null, strict: false, policy: "reject", persist: null, codec: null };
+
+/**
+ * Function for creating a new Joistor object
+ * @param {object} opts - options for configuring joistor object
+ * @param {boolean} opts.errorLog - flag for setting if default errors are logged
+ * @param {boolean} opts.throwErrors - flag for throwing errors of synchronous operations instead of calling onError
+ * @param {number} opts.historyBuffer - max number of changes to store in history
+ * @param {number} opts.historySize - max size of the patches stored in history, in characters of their encoding by
+ * the codec, the oldest changes are dropped once it is exceeded (default unlimited)
+ * @param {boolean} opts.strict - flag for setting type casting during validation checks
+ * @param {string} opts.policy - how invalid writes are handled, one of reject, coerce, warn or draft (default reject)
+ * @param {object} opts.persist - persistence adapter, or persistence options
+ * @param {object} opts.persist.adapter - persistence adapter with load(field, context) and save(field, value, context)
+ * functions, the context holds the codec of the store (see persist.js)
+ * @param {number} opts.persist.throttle - min number of milliseconds between saves of a field (default 0)
+ * @param {string[]} opts.persist.include - fields to persist, all fields are persisted if not set
+ * @param {string[]} opts.persist.exclude - fields to not persist
+ * @param {object} opts.codec - codec with encode(value) and decode(string) functions used by serialize, restore and the
+ * persistence adapters, defaults to jsonCodec()
+ * @returns
+ */
+function Joistor(opts = {}) {
+	opts = { ...DEFAULT_OPTIONS, ...opts };
+
+	// source of the state writes currently being made, one of user, undo, redo, register, hydrate or the source of patch
+	let writeSource = "user";
+
+	let schema = {};
+	// validators of the registered schemas
+	let validators = new WeakMap();
+	// options each field was registered with
+	let fieldOptions = {};
+	// cross-field validation rules
+	let rules = [];
+	// default states fields were registered with, used by reset
+	let defaults = {};
+	// validation errors of fields holding invalid state accepted by the draft policy
+	let drafts = {};
+	// validation error details of the current state, by field and path
+	let validationErrors = {};
+	let rawState = {};
+	let state = new Proxy(rawState, stateRegisterProxyHandler());
+	// proxies of the objects in the state and the parent and key each object was last read from, so reading an object
+	// returns the same proxy and writes through a held proxy are made at the current path of its object
+	let proxies = new WeakMap();
+	let proxyLinks = new WeakMap();
+	let fieldProxyHandler = stateFieldProxyHandler();
+	// objects wrapped by the proxies, proxies written to the state are stored as their objects
+	let proxyTargets = new WeakMap();
+	// transactions of the drafts and of their objects, writes through their proxies are made to the draft
+	let proxyTransactions = new WeakMap();
+
+	// frozen copy of the state returned by getSnapshot and the paths changed since it was taken
+	let snapshot = null;
+	let snapshotChanges = [];
+	let codec = opts.codec || jsonCodec();
+
+	// history entries hold the JSON patches of a change and the inverse patches reverting it
+	let history = { undo: [], redo: [] };
+	let historyId = 0;
+	// id of the last entry dropped from the history buffer, identifies the oldest state that can be reached
+	let historyBaseId = 0;
+	let checkpoints = {};
+
+	// recorders logging the actions made on the store and the entry of the action currently being recorded
+	let recorders = [];
+	let recordingEntry = null;
+
+	// computed fields by name and the reads recorded while a computed field is being evaluated
+	let computedFields = {};
+	let trackedReads = null;
+
+	// fields waiting to be saved to the persistence adapter
+	let persist = persistOptions(opts.persist);
+	let persistPending = new Set();
+	let persistTimer = null;
+
+	// writes to asynchronously validated fields waiting to be validated, by field
+	let validationQueues = {};
+
+	let onRegisterCallbacks = [];
+	let onUnregisterCallbacks = [];
+	let onChangeCallbacks = {};
+	let onErrorCallbacks = [];
+	let onFieldErrorCallbacks = {};
+	let onHistoryChangeCallbacks = [];
+	let onValidityChangeCallbacks = [];
+	let onPatchCallbacks = [];
+	let middlewares = [];
+
+	addListener(onErrorCallbacks, {
+		callback: (error, state) => {
+			if (opts.errorLog) {
+				console.log(error);
+			}
+		},
+	});
+
+	// ========= Public API =========
+
+	/**
+	 * Register new schemas and default states. Every field in schemaObj is registered, the fields are only registered
+	 * if all of their states are valid. Registering a field again drops its changes from history, like unregister.
+	 * If a persistence adapter is configured, the persisted state of each field is loaded and used instead of the
+	 * default state when it is valid.
+	 * Fields can be registered with a schema version and migrations. Persisted or loaded state of an older version is
+	 * migrated one version at a time before being validated, state without a version is version 0. The migration
+	 * to version n is migrations[n], versions without a migration keep the state unchanged.
+	 * Writes to fields registered with async validation are staged and validated with validateAsync, in the order
+	 * they were made, before being committed. Transactions, patches and loads changing these fields are validated
+	 * synchronously, then queued behind their staged writes and committed once validateAsync has accepted them.
+	 * Undo and redo cancel the staged writes and transactions of the fields they change.
+	 * Register, undo and redo are validated synchronously without the external rules of the schema.
+	 * The validation policy decides how invalid states are handled: reject rolls the write back, coerce stores the value
+	 * normalized by the schema (conversions, defaults and stripped unknown keys) and rejects invalid writes, warn
+	 * accepts the write and reports the error and draft accepts the write and tracks the validation error of the field
+	 * in drafts.
+	 * @param {*} schemaObj - schema by field, a joi schema, JSON Schema, validation function or validator (see validators.js)
+	 * @param {*} stateObj - default state object by field, the default state of fields missing from it is derived from
+	 * their schema, e.g. from joi defaults
+	 * @param {object} registerOpts - options for registering the fields
+	 * @param {boolean} registerOpts.async - flag for validating writes asynchronously, required for external rules
+	 * @param {string} registerOpts.policy - validation policy of the fields, defaults to the policy of the store
+	 * @param {number} registerOpts.version - schema version of the fields (default 0)
+	 * @param {object} registerOpts.migrations - functions migrating the state of the previous version by version
+	 * @param {boolean} registerOpts.history - flag for recording changes of the fields in history (default true)
+	 * @param {number} registerOpts.historyBuffer - max number of history entries holding changes of each field,
+	 * older changes of the field are dropped from history (defaults to the history buffer of the store)
+	 * @returns {boolean} true if the fields were registered
+	 * @example
+	 * register({ user: Joi.object({ name: Joi.string().required() }) }, { user: { name: "John Doe" } })
+	 * register({ user: Joi.object({ name: Joi.string().external(checkUnique) }) }, { user: { name: "" } }, { async: true })
+	 * register({ system: systemSchema, workspace: workspaceSchema }, { system: systemState, workspace: workspaceState })
+	 * register({ count: { type: "integer", minimum: 0 } }, { count: 0 })
+	 * register({ settings: Joi.object({ theme: Joi.string().default("dark"), pageSize: Joi.number().default(50) }) })
+	 * register({ user: userSchema }, { user: { firstName: "", lastName: "" } }, {
+	 * 	version: 2,
+	 * 	migrations: { 2: ({ name }) => ({ firstName: name.split(" ")[0], lastName: name.split(" ")[1] }) },
+	 * })
+	 */
+	function register(schemaObj, stateObj = {}, registerOpts = { async: false }) {
+		const { migrations, ...recordedOpts } = registerOpts;
+		const details = { type: "register", fields: Object.keys(schemaObj), opts: recordedOpts };
+		return recordAction(details, (entry) => registerFields(schemaObj, stateObj, registerOpts, entry));
+	}
+
+	/**
+	 * Add a validation rule across multiple fields. The rule is checked whenever one of its fields changes and all of
+	 * its fields are registered, writes breaking the rule are handled like writes failing their schema.
+	 * @param {string[]} fields - fields the rule depends on
+	 * @param {function|object} check - function called with the state of each field, returning false or an error
+	 * message when the rule is broken, or a schema validating an object with the state of each field
+	 * @param {object} ruleOpts - options for configuring the rule
+	 * @param {string} ruleOpts.name - name of the rule used in error messages
+	 * @returns {function} function that removes the rule
+	 * @example
+	 * rule(["system", "workspace"], (system, workspace) => workspace.id === system.id || "workspace must reference the system")
+	 * rule(["system", "workspace"], Joi.object({ workspace: Joi.object({ id: Joi.valid(Joi.ref("/system.id")) }) }))
+	 */
+	function rule(fields, check, ruleOpts = {}) {
+		const entry = { fields: [].concat(fields), check, name: ruleOpts.name || fields.join(", ") };
+		rules.push(entry);
+
+		return () => {
+			const index = rules.indexOf(entry);
+			if (index !== -1) rules.splice(index, 1);
+		};
+	}
+
+	/**
+	 * Unregister a schema and state. Changes of the field are removed from history, entries changing only the field
+	 * are dropped.
+	 * @param {string} field - field to unregister
+	 * @param {object} unregisterOpts - options for unregistering the field
+	 * @param {boolean} unregisterOpts.removeListeners - flag for removing all onChange and onError callbacks of the field
+	 * @example
+	 * register({ user: Joi.object({ name: Joi.string().required() }) }, { user: { name: "John Doe" } })
+	 * unregister("user", { removeListeners: true })
+	 */
+	function unregister(field, unregisterOpts = { removeListeners: false }) {
+		recordAction({ type: "unregister", field, opts: unregisterOpts }, () => {
+			delete schema[field];
+			delete fieldOptions[field];
+			delete defaults[field];
+			delete drafts[field];
+			delete rawState[field];
+			if (snapshot) snapshotChanges.push([field]);
+			dropFieldHistory(field);
+			setValidity(field, {});
+			invalidateComputed([field]);
+			persistPending.delete(field);
+
+			if (unregisterOpts.removeListeners) {
+				[...(onChangeCallbacks[field] || []), ...(onFieldErrorCallbacks[field] || [])].forEach((listener) => listener.remove());
+				delete onChangeCallbacks[field];
+				delete onFieldErrorCallbacks[field];
+			}
+
+			executeUnregisterCallbacks(field);
+		});
+	}
+
+	/**
+	 * Get the state at a path
+	 * @param {string} path - path in dot and bracket notation
+	 * @returns {*} state at the path, undefined if it does not exist
+	 * @example
+	 * get("list[2].position") ==> 17
+	 */
+	function get(path) {
+		return getIn(state, parsePath(path));
+	}
+
+	/**
+	 * Set the state at a path. The write is validated, recorded and notified like a write to state.
+	 * @param {string} path - path in dot and bracket notation
+	 * @param {*} value - value to write
+	 * @returns {boolean} true if the value was written
+	 * @example
+	 * set("list[2].position", 18)
+	 */
+	function set(path, value) {
+		return writePath(parsePath(path), value);
+	}
+
+	/**
+	 * Set the state at a path to the value returned by a function of the current state
+	 * @param {string} path - path in dot and bracket notation
+	 * @param {function} updater - function called with a copy of the current state, returning the next state
+	 * @returns {boolean} true if the value was written
+	 * @example
+	 * update("list[2].position", (position) => position + 1)
+	 */
+	function update(path, updater) {
+		return set(path, updater(clone(get(path))));
+	}
+
+	/**
+	 * Merge a partial object into the object at a path. Nested objects are merged, other values are replaced.
+	 * @param {string} path - path in dot and bracket notation
+	 * @param {object} partial - properties to merge
+	 * @returns {boolean} true if the merged object was written
+	 * @example
+	 * merge("user", { address: { city: "Montreal" } })
+	 */
+	function merge(path, partial) {
+		return set(path, mergeDeep(clone(get(path)), partial));
+	}
+
+	/**
+	 * Reset the state at a path to the default state the field was registered with. Paths without a default are
+	 * deleted.
+	 * @param {string} path - path in dot and bracket notation
+	 * @returns {boolean} true if the state was reset
+	 * @example
+	 * reset("user.address")
+	 * reset("user")
+	 */
+	function reset(path) {
+		const segments = parsePath(path);
+		const { exists, value } = valueAt(defaults[segments[0]], segments.slice(1));
+		if (!exists && segments.length > 1) return writePath(segments, undefined, { method: "delete", args: [] });
+		return writePath(segments, clone(value));
+	}
+
+	/**
+	 * Describe the state of the registered fields as a JSON Schema, with the schema of each field as a property.
+	 * Fields whose validator cannot be described, e.g. validation functions, accept any value.
+	 * @returns {object} JSON Schema of the state
+	 * @example
+	 * fs.writeFileSync("state.schema.json", JSON.stringify(describe(), null, 2))
+	 */
+	function describe() {
+		const fields = Object.keys(schema);
+		const properties = fields.map((field) => {
+			const validator = validatorOf(schema[field]);
+			return [field, validator.describe ? validator.describe() : {}];
+		});
+		return {
+			$schema: "https://json-schema.org/draft/2020-12/schema",
+			type: "object",
+			properties: Object.fromEntries(properties),
+			required: fields,
+		};
+	}
+
+	/**
+	 * Create a sub-store for a single field. The sub-store reads and writes the state of the field through the store,
+	 * so writes are validated and recorded in the history of the store. undo and redo of the sub-store only revert
+	 * and reapply the changes of the field, changes made together with other fields are split from them.
+	 * @param {string} field - field of the sub-store
+	 * @returns {object} sub-store with state, onChange, onError, undo, redo, reset, canUndo and canRedo
+	 * @example
+	 * const workspace = scope("workspace")
+	 * workspace.state.name = "test"
+	 * workspace.onChange("sequence", (sequence, path) => renderSequence(sequence))
+	 * workspace.undo()
+	 */
+	function scope(field) {
+		const touchesField = (entry) => entry.patches.some((patch) => parsePointer(patch.path)[0] === field);
+
+		return {
+			field,
+			get state() {
+				return state[field];
+			},
+			set state(value) {
+				state[field] = value;
+			},
+			/**
+			 * Add callbacks to be executed after a change occurs at or below a path of the field
+			 * @param {string} [path] - path relative to the field, the whole field if not set
+			 * @param {function} callback - callback function called with the state of the field, the path relative to the
+			 * field, the value, the old value and the operation
+			 * @param {object} listenerOpts - options for configuring the callback, as in onChange of the store
+			 * @returns {function} function that removes the callback
+			 */
+			onChange(path, callback, listenerOpts) {
+				if (typeof path === "function") return this.onChange("", path, callback);
+
+				const scopedCallback = (_, changedPath, ...args) => callback(state[field], formatPath(parsePath(changedPath).slice(1)), ...args);
+				return onChange([field, ...parsePath(path)], scopedCallback, listenerOpts);
+			},
+			onError: (callback, listenerOpts) => onError(field, callback, listenerOpts),
+			undo: () => undo(field),
+			redo: () => redo(field),
+			reset: () => reset(field),
+			get canUndo() {
+				return history.undo.some(touchesField);
+			},
+			get canRedo() {
+				return history.redo.some(touchesField);
+			},
+		};
+	}
+
+	/**
+	 * Load a snapshot of the state of registered fields. The state of each field is migrated from its version in the
+	 * snapshot to the registered version and the fields are written in a single transaction, the load is rolled back
+	 * if any field fails to migrate or validate.
+	 * @param {object} snapshot - snapshot to load
+	 * @param {object} snapshot.state - state object by field
+	 * @param {object} snapshot.versions - schema version of the state by field, fields without a version are version 0
+	 * @returns {boolean} true if the snapshot was loaded, or staged when it changes asynchronously validated fields
+	 * @example
+	 * load({ state: { user: { name: "John Doe" } }, versions: { user: 1 } })
+	 */
+	function load({ state: snapshotState = {}, versions = {} }) {
+		return recordAction({ type: "transaction", description: "load", entries: [] }, (entry) => {
+			const values = {};
+			for (const field of Object.keys(snapshotState)) {
+				if (!schema[field]) {
+					const info = { field, path: field, value: snapshotState[field], operation: "load" };
+					reportError(new JoistorSchemaMissingError(`No schema for ${field}`, info));
+					return false;
+				}
+
+				try {
+					values[field] = migrate(field, clone(snapshotState[field]), versions[field] || 0, "load");
+				} catch (error) {
+					reportError(error);
+					return false;
+				}
+			}
+
+			const transaction = beginTransaction("load", "load", entry);
+			Object.keys(values).forEach((field) => (transaction.state[field] = values[field]));
+			return commitTransaction(transaction);
+		});
+	}
+
+	/**
+	 * Get an immutable snapshot of the state. The snapshot is deeply frozen and shares the objects of unchanged
+	 * paths with the previous snapshot, so changes can be detected by identity.
+	 * @returns {object} frozen state object by field
+	 * @example
+	 * const before = getSnapshot()
+	 * store.state.user.name = "Jane Doe"
+	 * getSnapshot().user !== before.user ==> true
+	 * getSnapshot().settings === before.settings ==> true
+	 */
+	function getSnapshot() {
+		if (!snapshot) {
+			snapshot = freeze(clone(rawState));
+		} else {
+			snapshotChanges.forEach((path) => (snapshot = updateSnapshot(snapshot, rawState, path)));
+		}
+		snapshotChanges = [];
+		return snapshot;
+	}
+
+	/**
+	 * Serialize the state and schema version of every registered field with the codec of the store
+	 * @returns {string} serialized state, restored with restore
+	 * @example
+	 * localStorage.setItem("app", serialize())
+	 */
+	function serialize() {
+		const versions = Object.fromEntries(Object.keys(rawState).map((field) => [field, fieldVersion(field)]));
+		return codec.encode({ versions, state: rawState });
+	}
+
+	/**
+	 * Restore state serialized with serialize. The state is loaded like a snapshot passed to load.
+	 * @param {string} serialized - serialized state
+	 * @returns {boolean} true if the state was restored
+	 * @example
+	 * restore(localStorage.getItem("app"))
+	 */
+	function restore(serialized) {
+		let decoded;
+		try {
+			decoded = codec.decode(serialized);
+		} catch (error) {
+			reportError(new JoistorError("Failed to decode serialized state", { value: serialized, operation: "restore", cause: error }));
+			return false;
+		}
+		return load(decoded);
+	}
+
+	/**
+	 * Save all fields with pending changes to the persistence adapter without waiting for the throttle
+	 * @example
+	 * store.state.user.name = "Jane Doe"
+	 * flush()
+	 */
+	function flush() {
+		clearTimeout(persistTimer);
+		persistTimer = null;
+
+		const fields = [...persistPending];
+		persistPending.clear();
+		fields.forEach((field) => save(field));
+	}
+
+	/**
+	 * Check if writes to a field, or any field, are waiting to be validated asynchronously
+	 * @param {string} field - field to check, all fields are checked if not set
+	 * @returns {boolean} true if writes are waiting to be validated
+	 * @example
+	 * store.state.user.name = "Jane Doe"
+	 * console.log(isValidating("user")) ==> true
+	 */
+	function isValidating(field) {
+		if (field === undefined) return Object.keys(validationQueues).length > 0;
+		return Boolean(validationQueues[field]);
+	}
+
+	/**
+	 * Wait until all writes to a field, or to all fields, have been validated asynchronously and committed or rolled back
+	 * @param {string} field - field to wait for, all fields are waited for if not set
+	 * @returns {Promise} resolves after the writes have settled
+	 * @example
+	 * store.state.user.name = "Jane Doe"
+	 * await settled("user")
+	 */
+	async function settled(field) {
+		while (isValidating(field)) {
+			const queues = field === undefined ? Object.values(validationQueues) : [validationQueues[field]];
+			await Promise.all(queues.map((queue) => queue.done));
+		}
+	}
+
+	/**
+	 * Validate the state of every registered field and update the errors
+	 * @returns {boolean} true if the state of every field is valid
+	 * @example
+	 * if (!validateAll()) console.log(store.errors)
+	 */
+	function validateAll() {
+		Object.keys(schema).forEach((field) => refreshValidity(field));
+		return isValid();
+	}
+
+	/**
+	 * Check if the state, or the state at or below a path, has no validation errors
+	 * @param {string} path - path to check, the whole state is checked if not set
+	 * @returns {boolean} true if there are no validation errors
+	 * @example
+	 * isValid("list[2].position")
+	 */
+	function isValid(path) {
+		const paths = Object.values(validationErrors).flatMap((fieldErrors) => Object.keys(fieldErrors));
+		if (path === undefined) return paths.length === 0;
+
+		const segments = parsePath(path);
+		return !paths.some((errorPath) => pathsOverlap(segments, parsePath(errorPath)));
+	}
+
+	/**
+	 * Add callbacks to be executed after the validation errors of the state change
+	 * @param {function} callback - callback function to be executed after the validation errors change
+	 * @param {*} callback.errors - validation errors by path
+	 * @param {*} callback.state - current state
+	 * @param {object} listenerOpts - options for configuring the callback
+	 * @param {boolean} listenerOpts.once - flag for removing the callback after it has been called once
+	 * @param {number} listenerOpts.priority - callbacks with a higher priority are called first (default 0)
+	 * @param {AbortSignal} listenerOpts.signal - signal that removes the callback when aborted
+	 * @returns {function} function that removes the callback
+	 * @example
+	 * onValidityChange((errors) => renderFormErrors(errors))
+	 */
+	function onValidityChange(callback, listenerOpts) {
+		return addListener(onValidityChangeCallbacks, { callback }, listenerOpts);
+	}
+
+	/**
+	 * Add callbacks to be executed after a field is registered
+	 * @param {function} callback - callback function to be executed after registering a field
+	 * @param {*} callback.field - field being registered
+	 * @param {*} callback.state - state after registering field
+	 * @param {object} listenerOpts - options for configuring the callback
+	 * @param {boolean} listenerOpts.once - flag for removing the callback after it has been called once
+	 * @param {number} listenerOpts.priority - callbacks with a higher priority are called first (default 0)
+	 * @param {AbortSignal} listenerOpts.signal - signal that removes the callback when aborted
+	 * @returns {function} function that removes the callback
+	 * @example
+	 * const dispose = onRegister((field, state) => console.log(`${field} has been registered`))
+	 */
+	function onRegister(callback, listenerOpts) {
+		return addListener(onRegisterCallbacks, { callback }, listenerOpts);
+	}
+
+	/**
+	 * Add callbacks to be executed after a field is unregistered
+	 * @param {function} callback - callback function to be executed after unregistering a field
+	 * @param {*} callback.field - field being unregistered
+	 * @param {*} callback.state - state after unregistering field
+	 * @param {object} listenerOpts - options for configuring the callback
+	 * @param {boolean} listenerOpts.once - flag for removing the callback after it has been called once
+	 * @param {number} listenerOpts.priority - callbacks with a higher priority are called first (default 0)
+	 * @param {AbortSignal} listenerOpts.signal - signal that removes the callback when aborted
+	 * @returns {function} function that removes the callback
+	 * @example
+	 * onUnregister((field, state) => console.log(`${field} has been removed`), { once: true })
+	 */
+	function onUnregister(callback, listenerOpts) {
+		return addListener(onUnregisterCallbacks, { callback }, listenerOpts);
+	}
+
+	/**
+	 * Add callbacks to be executed after a change occurs at or below a path. Paths use dot and bracket notation
+	 * and "*" matches any key or index. Callbacks are only called when the value at the path actually changed.
+	 * @param {string} path - path to the state to listen to
+	 * @param {function} callback - callback function to call when the path is updated
+	 * @param {*} callback.state - state after change occurs
+	 * @param {string} callback.path - full path of the value that was changed
+	 * @param {*} callback.value - value after the change
+	 * @param {*} callback.oldValue - value before the change
+	 * @param {object} callback.operation - array mutator that made the change, with its method and args
+	 * @param {object} listenerOpts - options for configuring the callback
+	 * @param {boolean} listenerOpts.once - flag for removing the callback after it has been called once
+	 * @param {number} listenerOpts.priority - callbacks with a higher priority are called first (default 0)
+	 * @param {AbortSignal} listenerOpts.signal - signal that removes the callback when aborted
+	 * @returns {function} function that removes the callback
+	 * @example
+	 * onChange("user", (state, path, value, oldValue) => console.log(`${path} was updated to ${value}`))
+	 * onChange("list.*.position", (state, path, value) => console.log(`${path} was updated to ${value}`))
+	 * onChange("workspace.sequence[*]", (state, path, value, oldValue) => console.log(`${path}: ${oldValue} -> ${value}`))
+	 */
+	function onChange(path, callback, listenerOpts) {
+		const segments = parsePath(path);
+		const field = segments[0];
+		if (!onChangeCallbacks[field]) onChangeCallbacks[field] = [];
+		const remove = addListener(onChangeCallbacks[field], { segments, callback }, listenerOpts);
+
+		// computed fields are evaluated so the changes of the paths they read can be tracked
+		if (computedFields[field]) evaluateComputed(computedFields[field]);
+		if (field === "*") Object.values(computedFields).forEach(evaluateComputed);
+		return remove;
+	}
+
+	/**
+	 * Add callbacks to be executed after an error occurs. Callbacks added for a field are only called for errors of
+	 * that field, before the callbacks added for all fields.
+	 * @param {string} [field] - field to handle the errors of, errors of all fields are handled if not set
+	 * @param {function} callback - callback function to be executed after an error occurs
+	 * @param {JoistorError} callback.error - error with the field, path, values and operation causing it
+	 * @param {*} callback.state - state after error occurred
+	 * @param {object} listenerOpts - options for configuring the callback
+	 * @param {boolean} listenerOpts.once - flag for removing the callback after it has been called once
+	 * @param {number} listenerOpts.priority - callbacks with a higher priority are called first (default 0)
+	 * @param {AbortSignal} listenerOpts.signal - signal that removes the callback when aborted
+	 * @returns {function} function that removes the callback
+	 * @example
+	 * onError((error, state) => logger.error(`Error: ${error} (State: ${state})), { priority: 1 })
+	 * onError("user", (error) => showUserFormError(error.path, error.details))
+	 */
+	function onError(field, callback, listenerOpts) {
+		if (typeof field !== "string") {
+			return addListener(onErrorCallbacks, { callback: field }, callback);
+		}
+
+		if (!onFieldErrorCallbacks[field]) onFieldErrorCallbacks[field] = [];
+		return addListener(onFieldErrorCallbacks[field], { callback }, listenerOpts);
+	}
+
+	/**
+	 * Add a middleware to run around every state write. Middlewares are called in order with the context of the
+	 * write and a next function, which runs the following middlewares and commits the write. A middleware can
+	 * transform the value by setting context.nextValue before calling next, veto the write by not calling next and
+	 * run code after the write by calling next first. next returns true if the write was committed.
+	 * Writes inside of a transaction are committed to the transaction draft. Writes to asynchronously validated fields
+	 * are staged by next, which returns true, and context.validation resolves to true if the write was committed.
+	 * Vetoing a patch of an undo or redo cancels the whole undo or redo, reverting its patches already applied.
+	 * @param {function} middleware - middleware function called for each write
+	 * @param {object} middleware.context - context of the write
+	 * @param {string} middleware.context.field - registered field being written to
+	 * @param {string} middleware.context.path - full path being written to
+	 * @param {*} middleware.context.oldValue - value before the write
+	 * @param {*} middleware.context.nextValue - value being written
+	 * @param {string} middleware.context.source - source of the write, one of user, undo, redo, register or hydrate
+	 * @param {object} middleware.context.operation - array mutator making the write, with its method and args
+	 * @param {function} middleware.next - function committing the write
+	 * @param {object} listenerOpts - options for configuring the middleware
+	 * @param {number} listenerOpts.priority - middlewares with a higher priority are called first (default 0)
+	 * @param {AbortSignal} listenerOpts.signal - signal that removes the middleware when aborted
+	 * @returns {function} function that removes the middleware
+	 * @example
+	 * use((context, next) => {
+	 * 	if (typeof context.nextValue === "string") context.nextValue = context.nextValue.trim()
+	 * 	if (next()) auditLog.push(context)
+	 * })
+	 */
+	function use(middleware, listenerOpts) {
+		return addListener(middlewares, { callback: middleware }, listenerOpts);
+	}
+
+	/**
+	 * Batch multiple state writes into a single change. Writes are applied to a draft, every touched field is
+	 * validated once when the transaction ends and the change is recorded as one history entry with one onChange
+	 * call per field. If any field fails validation, or the callback throws, all writes are rolled back.
+	 * Only the writes made through the draft state passed to the callback are part of the transaction, writes made
+	 * through store.state and other transactions are committed on their own. The changes made to the draft are applied
+	 * to the current state when the transaction is committed, updating its objects in place.
+	 * @param {function} callback - callback function making the state writes
+	 * @param {*} callback.state - draft state to read from and write to
+	 * @param {object} transactionOpts - options for configuring the transaction
+	 * @param {string} transactionOpts.description - description of the history entry of the transaction
+	 * @returns {boolean} true if the writes were committed, or staged when they change asynchronously validated fields,
+	 * false if they were rolled back
+	 * @example
+	 * transaction((state) => {
+	 * 	state.workspace.id = 2
+	 * 	state.workspace.name = "test"
+	 * 	state.workspace.sequence = [0, 1]
+	 * }, { description: "load workspace" })
+	 */
+	function transaction(callback, transactionOpts = {}) {
+		return recordAction({ type: "transaction", description: transactionOpts.description, entries: [] }, (entry) => {
+			const transaction = beginTransaction(transactionOpts.description, "transaction", entry);
+			try {
+				callTransaction(transaction, callback);
+			} catch (error) {
+				transaction.done = true;
+				throw error;
+			}
+			return commitTransaction(transaction);
+		});
+	}
+
+	/**
+	 * Async variant of transaction, the transaction is committed after the returned promise resolves.
+	 * Writes made through store.state while the callback is pending are not included in the transaction.
+	 * @param {function} callback - async callback function making the state writes
+	 * @param {*} callback.state - draft state to read from and write to
+	 * @param {object} transactionOpts - options for configuring the transaction
+	 * @param {string} transactionOpts.description - description of the history entry of the transaction
+	 * @returns {Promise<boolean>} resolves to true if the writes were committed, or staged when they change
+	 * asynchronously validated fields, false if they were rolled back
+	 * @example
+	 * await transactionAsync(async (state) => {
+	 * 	state.workspace.sequence = await loadSequence()
+	 * 	state.workspace.name = "loaded"
+	 * })
+	 */
+	async function transactionAsync(callback, transactionOpts = {}) {
+		return recordAction({ type: "transaction", description: transactionOpts.description, entries: [] }, async (entry) => {
+			const transaction = beginTransaction(transactionOpts.description, "transaction", entry);
+			try {
+				await callTransaction(transaction, callback);
+			} catch (error) {
+				transaction.done = true;
+				throw error;
+			}
+			return commitTransaction(transaction);
+		});
+	}
+
+	/**
+	 * Add a read-only field derived from one or more registered fields. The value is available on the state like any
+	 * other field and can be listened to with onChange. The paths read while computing the value are tracked and the
+	 * value is only recomputed, lazily, after one of those paths has changed. Computed fields with listeners are
+	 * evaluated as soon as their fields are registered, so the listeners are called without reading the value first.
+	 * @param {string} name - name of the computed field
+	 * @param {string[]} deps - registered fields the computed field is derived from
+	 * @param {function} fn - function deriving the value, called with the state of each field in deps
+	 * @returns {function} function that removes the computed field
+	 * @example
+	 * computed("total", ["list"], (list) => list.reduce((total, item) => total + item.max, 0))
+	 * console.log(store.state.total) ==> 1050
+	 */
+	function computed(name, deps, fn) {
+		if (schema[name] || computedFields[name]) {
+			throw new JoistorError(`${name} is already registered`, { field: name, operation: "computed" });
+		}
+
+		computedFields[name] = {
+			name,
+			deps: [].concat(deps),
+			fn,
+			dirty: true,
+			value: undefined,
+			dependencies: [],
+		};
+		evaluateComputed(computedFields[name]);
+
+		return () => {
+			delete computedFields[name];
+			invalidateComputed([name]);
+		};
+	}
+
+	/**
+	 * Undo the last state change, or the last change of a field. Undoing a field only reverts the changes of the
+	 * field, changes made together with other fields are split from them and stay in history.
+	 * @param {string} [field] - field to undo the last change of
+	 * @returns {boolean} true if a change was undone
+	 * @example
+	 * store.state.user.name = "John Doe"
+	 * store.state.user.name = "Jane Doe"
+	 * undo()
+	 * console.log(store.state.user.name) ==> "John Doe"
+	 * undo("settings")
+	 */
+	function undo(field) {
+		return recordAction({ type: "undo", field }, () => {
+			if (field !== undefined) return moveFieldChanges(field, history.undo, history.redo, "undo");
+			if (history.undo.length === 0 || !undoEntry()) return false;
+
+			executeHistoryChangeCallbacks();
+			return true;
+		});
+	}
+
+	/**
+	 * Redo the last undone state change, or the last undone change of a field
+	 * @param {string} [field] - field to redo the last undone change of
+	 * @returns {boolean} true if a change was redone
+	 * @example
+	 * store.state.user.name = "John Doe"
+	 * store.state.user.name = "Jane Doe"
+	 * undo()
+	 * console.log(store.state.user.name) ==> "John Doe"
+	 * redo()
+	 * console.log(store.state.user.name) ==> "Jane Doe"
+	 */
+	function redo(field) {
+		return recordAction({ type: "redo", field }, () => {
+			if (field !== undefined) return moveFieldChanges(field, history.redo, history.undo, "redo");
+			if (history.redo.length === 0 || !redoEntry()) return false;
+
+			executeHistoryChangeCallbacks();
+			return true;
+		});
+	}
+
+	/**
+	 * Label the current state so it can be returned to with jumpTo
+	 * @param {string} label - label of the checkpoint, an existing checkpoint with the same label is moved
+	 * @example
+	 * checkpoint("before import")
+	 * importData()
+	 * jumpTo("before import")
+	 */
+	function checkpoint(label) {
+		recordAction({ type: "checkpoint", label }, () => {
+			const lastEntry = history.undo[history.undo.length - 1];
+			checkpoints[label] = { id: lastEntry ? lastEntry.id : historyBaseId, timestamp: Date.now() };
+			executeHistoryChangeCallbacks();
+		});
+	}
+
+	/**
+	 * Undo or redo history entries until the state matches a position in the timeline or a checkpoint
+	 * @param {number|string} indexOrLabel - index of the timeline position (number of applied entries) or checkpoint label
+	 * @returns {boolean} true if the state was moved to the position, false if the position does not exist or an entry
+	 * could not be applied
+	 * @example
+	 * jumpTo(0) // oldest state in history
+	 * jumpTo("before import")
+	 */
+	function jumpTo(indexOrLabel) {
+		return recordAction({ type: "jumpTo", index: indexOrLabel }, () => {
+			const index = typeof indexOrLabel === "string" ? checkpointIndex(indexOrLabel) : indexOrLabel;
+			if (index === null) return false;
+			const length = history.undo.length + history.redo.length;
+			if (!Number.isInteger(index) || index < 0 || index > length) {
+				reportError(new JoistorHistoryError(`History index ${index} is out of range`, { operation: "jumpTo" }));
+				return false;
+			}
+			if (index === history.undo.length) return true;
+
+			// an entry that is vetoed or no longer applies stops the jump at the position reached before it
+			let moving = true;
+			while (moving && history.undo.length > index) moving = undoEntry();
+			while (moving && history.undo.length < index) moving = redoEntry();
+			executeHistoryChangeCallbacks();
+			return moving;
+		});
+	}
+
+	/**
+	 * Add callbacks to be executed with the JSON patches of every change committed to the state
+	 * @param {function} callback - callback function to be executed after a change
+	 * @param {object[]} callback.patches - JSON patches of the change
+	 * @param {object} callback.info - source of the change (user, undo, redo, register, hydrate or the source passed to
+	 * patch) and the array mutator that made it
+	 * @param {object} listenerOpts - options for configuring the callback
+	 * @param {boolean} listenerOpts.once - flag for removing the callback after it has been called once
+	 * @param {number} listenerOpts.priority - callbacks with a higher priority are called first (default 0)
+	 * @param {AbortSignal} listenerOpts.signal - signal that removes the callback when aborted
+	 * @returns {function} function that removes the callback
+	 * @example
+	 * onPatch((patches, { source }) => source === "user" && port.postMessage(patches))
+	 */
+	function onPatch(callback, listenerOpts) {
+		return addListener(onPatchCallbacks, { callback }, listenerOpts);
+	}
+
+	/**
+	 * Apply JSON patches to the state. The patched fields are validated and committed together like a transaction,
+	 * changes are only recorded in history when the source is user. Changes from other sources drop the history of the
+	 * paths they change, which undo and redo could no longer apply. Patches removing a whole field are rejected.
+	 * @param {object[]} patches - JSON patches with op (add, replace or remove), path and value
+	 * @param {object} patchOpts - options for applying the patches
+	 * @param {string} patchOpts.source - source of the change passed to onPatch callbacks (default remote)
+	 * @param {string} patchOpts.description - description of the history entry of the change
+	 * @returns {boolean} true if the patches were applied, or staged when they change asynchronously validated fields
+	 * @example
+	 * patch([{ op: "replace", path: "/user/name", value: "Jane Doe" }])
+	 */
+	function patch(patches, patchOpts = {}) {
+		const { source = "remote", description } = patchOpts;
+		return recordAction({ type: "patch", patches, source, description }, (entry) => {
+			const transaction = beginTransaction(description, "patch", entry);
+			for (const jsonPatch of patches) {
+				const path = parsePointer(jsonPatch.path);
+				const field = path[0];
+				const info = { field, path: formatPath(path), value: jsonPatch.value, operation: "patch" };
+				if (!schema[field]) {
+					reportError(new JoistorSchemaMissingError(`No schema for ${field}`, info));
+					return false;
+				}
+				if (path.length === 1 && (jsonPatch.op === "remove" || jsonPatch.value === undefined)) {
+					reportError(new JoistorError(`${field} cannot be removed, fields are removed with unregister`, info));
+					return false;
+				}
+				draftFields(transaction, field);
+				transaction.touched.add(field);
+			}
+			if (!description) transaction.description = `patch ${[...transaction.touched].join(", ")}`;
+
+			// patches are applied to the draft, so invalid patches leave the state unchanged
+			try {
+				patches.forEach((jsonPatch) => patchValue(transaction.fields, jsonPatch));
+			} catch (error) {
+				reportError(new JoistorError(error.message, { operation: "patch", cause: error }));
+				return false;
+			}
+
+			const previousSource = writeSource;
+			writeSource = source;
+			try {
+				return commitTransaction(transaction);
+			} finally {
+				writeSource = previousSource;
+			}
+		});
+	}
+
+	/**
+	 * Add callbacks to be executed after the history changes, from a state change, undo, redo, jumpTo or checkpoint
+	 * @param {function} callback - callback function to be executed after the history changes
+	 * @param {*} callback.timeline - timeline of the history after the change
+	 * @param {*} callback.state - current state
+	 * @param {object} listenerOpts - options for configuring the callback
+	 * @param {boolean} listenerOpts.once - flag for removing the callback after it has been called once
+	 * @param {number} listenerOpts.priority - callbacks with a higher priority are called first (default 0)
+	 * @param {AbortSignal} listenerOpts.signal - signal that removes the callback when aborted
+	 * @returns {function} function that removes the callback
+	 * @example
+	 * onHistoryChange((timeline) => renderUndoMenu(timeline))
+	 */
+	function onHistoryChange(callback, listenerOpts) {
+		return addListener(onHistoryChangeCallbacks, { callback }, listenerOpts);
+	}
+
+	/**
+	 * Timeline of all history entries, oldest first. Each entry has its index (number of applied entries after it is
+	 * applied), id, timestamp, description, checkpoint labels and flags for the current and undone entries.
+	 * @returns {object[]} timeline entries
+	 * @example
+	 * timeline().forEach((entry) => console.log(`${entry.index}: ${entry.description}`))
+	 */
+	function timeline() {
+		const labels = Object.entries(checkpoints);
+		const labelsOf = (id) => labels.filter(([, checkpoint]) => checkpoint.id === id).map(([label]) => label);
+
+		return [...history.undo, ...[...history.redo].reverse()].map((entry, i) => ({
+			index: i + 1,
+			id: entry.id,
+			timestamp: entry.timestamp,
+			description: entry.description,
+			labels: labelsOf(entry.id),
+			current: i + 1 === history.undo.length,
+			undone: i + 1 > history.undo.length,
+		}));
+	}
+
+	/**
+	 * Start recording the actions made on the store: writes, transactions, loads, patches, undo, redo, checkpoints,
+	 * jumps, registers and unregisters. Each entry holds the type and timestamp of the action, its arguments, e.g. the
+	 * path, value and old value of a write, whether it was accepted and the errors it reported. Writes to asynchronously
+	 * validated fields are accepted once they have been validated, writes inside of a transaction are recorded in the
+	 * entries of the transaction. Actions made by callbacks while another action is running are not recorded, they are
+	 * made again when the action is replayed with replay (see recorder.js).
+	 * @param {object} recordOpts - options for configuring the recorder
+	 * @param {number} recordOpts.limit - max number of entries to keep, older entries are dropped (default unlimited)
+	 * @param {object} recordOpts.codec - codec encoding each entry on a single line, defaults to jsonCodec()
+	 * @param {AbortSignal} recordOpts.signal - signal that stops the recording when aborted
+	 * @returns {object} recorder with the recorded entries and stop, clear and toNDJSON functions
+	 * @example
+	 * const recorder = record({ limit: 1000 })
+	 * window.addEventListener("error", () => report(recorder.toNDJSON()))
+	 */
+	function record(recordOpts = {}) {
+		const { limit = Infinity, signal } = recordOpts;
+		const recordCodec = recordOpts.codec || jsonCodec();
+		let entries = [];
+
+		const stop = addListener(
+			recorders,
+			{
+				callback: (entry) => {
+					entries.push(entry);
+					if (entries.length > limit) entries.shift();
+				},
+			},
+			{ signal }
+		);
+
+		return {
+			get entries() {
+				return entries;
+			},
+			stop,
+			clear: () => (entries = []),
+			toNDJSON: () => entries.map((entry) => `${recordCodec.encode(entry)}\n`).join(""),
+		};
+	}
+
+	// ========= Private API =========
+
+	function registerFields(schemaObj, stateObj, registerOpts, entry) {
+		const fields = Object.keys(schemaObj);
+		const initial = {};
+		fields.forEach((field) => {
+			const validator = validatorOf(schemaObj[field]);
+			if (field in stateObj) {
+				initial[field] = stateObj[field];
+			} else if (validator.defaults) {
+				initial[field] = clone(validator.defaults());
+			}
+		});
+
+		const previous = fields.map((field) => [field, schema[field], fieldOptions[field]]);
+		fields.forEach((field) => {
+			schema[field] = schemaObj[field];
+			fieldOptions[field] = { ...registerOpts };
+		});
+
+		// validate the state of every field before registering any of them
+		const values = {};
+		const sources = {};
+		fields.forEach((field) => {
+			const { value, hydrated } = hydrate(field, initial[field]);
+			values[field] = value;
+			sources[field] = hydrated ? "hydrate" : "register";
+		});
+		// the registered state is recorded after hydration so replaying does not depend on the persisted state
+		if (entry) entry.state = clone(values);
+		const warnings = [];
+		for (const field of fields) {
+			const valid = validateField({ ...rawState, ...values }, field);
+			const info = { path: [field], value: values[field], previousValue: rawState[field], operation: sources[field] };
+			const { accepted, error } = acceptValidation(field, valid, { ...rawState, ...values }, info);
+			const validationError = error && createValidationError(error, info);
+			if (!accepted) {
+				previous.forEach(([field, fieldSchema, options]) => {
+					if (fieldSchema) {
+						schema[field] = fieldSchema;
+						fieldOptions[field] = options;
+						refreshValidity(field);
+					} else {
+						delete schema[field];
+						delete fieldOptions[field];
+						setValidity(field, {});
+					}
+				});
+				reportError(validationError);
+				return false;
+			}
+			if (validationError) warnings.push(validationError);
+			if (!valid.error && fieldPolicy(field) === "coerce") values[field] = valid.value;
+		}
+
+		// the history of a field registered again is dropped like on unregister, its patches may not apply to the new state
+		previous.filter(([, fieldSchema]) => fieldSchema).forEach(([field]) => dropFieldHistory(field));
+
+		fields.forEach((field) => {
+			writeSource = sources[field];
+			try {
+				state[field] = values[field];
+			} finally {
+				writeSource = "user";
+			}
+		});
+
+		fields.forEach((field) => (defaults[field] = clone(initial[field])));
+		fields.forEach((field) => executeRegisterCallbacks(field));
+		warnings.forEach((warning) => reportError(warning));
+		return true;
+	}
+
+	function stateRegisterProxyHandler(transaction = null) {
+		function stateRegisterProxyGetter(obj, prop) {
+			if (computedFields[prop]) {
+				// computed fields of a draft are derived from the draft and are not cached
+				const { fn, deps } = computedFields[prop];
+				if (transaction) return fn(...deps.map((dep) => transaction.state[dep]));
+
+				trackRead(obj, [prop]);
+				return readComputed(computedFields[prop]);
+			}
+
+			const fields = transaction ? draftFields(transaction, prop) : obj;
+			if (!hasOwn(fields, prop)) return;
+			trackRead(fields, [prop]);
+			return proxyValue(fields[prop], fields, prop);
+		}
+
+		function stateRegisterProxySetter(obj, prop, value) {
+			writePath([prop], value, undefined, transaction);
+			return true;
+		}
+
+		function stateRegisterProxyDeleter(obj, prop) {
+			const info = { field: prop, path: prop, previousValue: obj[prop], operation: "delete" };
+			reportError(new JoistorError(`${prop} cannot be deleted, fields are removed with unregister`, info));
+			return true;
+		}
+
+		function stateRegisterProxyDefiner(obj, prop, descriptor) {
+			if (!("value" in descriptor)) return rejectAccessor([prop]);
+			return stateRegisterProxySetter(obj, prop, descriptor.value);
+		}
+
+		function stateRegisterProxyHas(obj, prop) {
+			return hasOwn(rawState, prop) || Boolean(computedFields[prop]);
+		}
+
+		function stateRegisterProxyKeys(obj) {
+			return [...Reflect.ownKeys(rawState), ...Object.keys(computedFields)];
+		}
+
+		function stateRegisterProxyDescriptor(obj, prop) {
+			// fields of a draft are reported with their draft state, computed fields as read-only properties so they are
+			// enumerated with the fields
+			if (computedFields[prop]) return { value: stateRegisterProxyGetter(obj, prop), writable: false, enumerable: true, configurable: true };
+			if (transaction && hasOwn(rawState, prop)) return { value: stateRegisterProxyGetter(obj, prop), writable: true, enumerable: true, configurable: true };
+			return Reflect.getOwnPropertyDescriptor(obj, prop);
+		}
+
+		return {
+			get: stateRegisterProxyGetter,
+			set: stateRegisterProxySetter,
+			deleteProperty: stateRegisterProxyDeleter,
+			defineProperty: stateRegisterProxyDefiner,
+			has: stateRegisterProxyHas,
+			ownKeys: stateRegisterProxyKeys,
+			getOwnPropertyDescriptor: stateRegisterProxyDescriptor,
+		};
+	}
+
+	function stateFieldProxyHandler() {
+		function stateFieldProxyGetter(obj, prop) {
+			// array mutators are applied to a copy of the array which is written as a single change
+			if (Array.isArray(obj) && ARRAY_MUTATORS.includes(prop)) {
+				return function arrayMutator(...args) {
+					const next = [...obj];
+					const result = next[prop](...args);
+					writeProxy(obj, undefined, next, { method: prop, args });
+					return result === next ? this : result;
+				};
+			}
+
+			trackProxyRead(obj, prop);
+			return proxyValue(obj[prop], obj, prop);
+		}
+
+		function stateFieldProxySetter(obj, prop, value) {
+			writeProxy(obj, prop, value);
+			return true;
+		}
+
+		function stateFieldProxyDeleter(obj, prop) {
+			if (hasOwn(obj, prop)) writeProxy(obj, prop, undefined, { method: "delete", args: [] });
+			return true;
+		}
+
+		function stateFieldProxyDefiner(obj, prop, descriptor) {
+			if (!("value" in descriptor)) return rejectAccessor([...(locate(obj) || linkedPath(obj)), prop]);
+			return stateFieldProxySetter(obj, prop, descriptor.value);
+		}
+
+		function stateFieldProxyHas(obj, prop) {
+			trackProxyRead(obj, prop);
+			return prop in obj;
+		}
+
+		function stateFieldProxyKeys(obj) {
+			// the keys depend on properties being added or removed
+			trackProxyRead(obj);
+			return Reflect.ownKeys(obj);
+		}
+
+		return {
+			get: stateFieldProxyGetter,
+			set: stateFieldProxySetter,
+			deleteProperty: stateFieldProxyDeleter,
+			defineProperty: stateFieldProxyDefiner,
+			has: stateFieldProxyHas,
+			ownKeys: stateFieldProxyKeys,
+		};
+	}
+
+	function writeProxy(obj, prop, value, operation) {
+		const transaction = proxyTransactions.get(obj);
+		const objPath = locate(obj);
+		if (!objPath) {
+			// the object was removed from the state after its proxy was read
+			const lastPath = linkedPath(obj);
+			const path = prop === undefined ? lastPath : [...lastPath, prop];
+			const info = { field: path[0], path: formatPath(path), value, operation: operation ? operation.method : "set" };
+			reportError(new JoistorError(`${formatPath(lastPath)} is no longer in the state`, info));
+			return false;
+		}
+
+		const path = prop === undefined ? objPath : [...objPath, prop];
+		const write = () => (transaction ? writeDraft(transaction, path, value, operation) : writeState(path, value, operation));
+		return recordWrite(path, value, operation, write, transaction);
+	}
+
+	function trackProxyRead(obj, prop) {
+		// paths are only resolved while the reads of a computed field are tracked
+		if (!trackedReads || typeof prop === "symbol") return;
+		const path = locate(obj);
+		if (path) trackRead(obj, prop === undefined ? path : [...path, prop]);
+	}
+
+	function locate(obj) {
+		// objects of a draft are located in the draft
+		const transaction = proxyTransactions.get(obj);
+		const root = transaction ? transaction.fields : rawState;
+
+		// the path is followed from the object to the root while each object is still at the key it was read from
+		const path = [];
+		let node = obj;
+		while (node !== root) {
+			const link = proxyLinks.get(node);
+			if (!link || link.parent[link.key] !== node) break;
+			path.unshift(link.key);
+			node = link.parent;
+		}
+		if (node === root) return path;
+
+		// the object has moved since it was read, e.g. when items before it were removed from its array
+		const foundPath = findPath(root, obj);
+		if (!foundPath) return null;
+		proxyLinks.set(obj, { parent: getIn(root, foundPath.slice(0, -1)), key: foundPath[foundPath.length - 1] });
+		return foundPath;
+	}
+
+	function linkedPath(obj) {
+		// path the object was last read at, reported for objects no longer in the state
+		const path = [];
+		const visited = new Set();
+		for (let link = proxyLinks.get(obj); link && !visited.has(link); link = proxyLinks.get(link.parent)) {
+			visited.add(link);
+			path.unshift(link.key);
+		}
+		return path;
+	}
+
+	function adopt(value, previous) {
+		const unwrap = (node) => proxyTargets.get(node) || node;
+
+		// objects of the previous value are kept by reference when they are moved, e.g. by array mutators or filter
+		const reusable = containersOf(previous);
+		const kept = new Set();
+		(function keep(node) {
+			node = unwrap(node);
+			if (!isPlainContainer(node)) return;
+			if (reusable.has(node)) {
+				containersOf(node).forEach((container) => kept.add(container));
+			} else {
+				Object.values(node).forEach(keep);
+			}
+		})(value);
+
+		const used = new Set();
+		return (function copy(node, old) {
+			node = unwrap(node);
+			if (!isPlainContainer(node)) return clone(node);
+			if (reusable.has(node)) {
+				if (used.has(node)) return clone(node);
+				used.add(node);
+				return node;
+			}
+
+			// new objects are copied into the previous object at their path, so the proxies of it stay valid
+			const inPlace = isPlainContainer(old) && Array.isArray(old) === Array.isArray(node) && reusable.has(old) && !kept.has(old) && !used.has(old);
+			const target = inPlace ? old : Array.isArray(node) ? [] : {};
+			if (inPlace) used.add(old);
+
+			const entries = Object.keys(node).map((key) => [key, copy(node[key], inPlace ? old[key] : undefined)]);
+			if (Array.isArray(target)) {
+				target.length = node.length;
+			} else {
+				Object.keys(target)
+					.filter((key) => !hasOwn(node, key))
+					.forEach((key) => delete target[key]);
+			}
+			entries.forEach(([key, item]) => (target[key] = item));
+			return target;
+		})(value, previous);
+	}
+
+	function rejectAccessor(path) {
+		// state only holds data, getters and setters cannot be validated
+		const info = { field: path[0], path: formatPath(path), operation: "defineProperty" };
+		reportError(new JoistorError(`${formatPath(path)} cannot be defined with a getter or setter`, info));
+		return true;
+	}
+
+	function writePath(path, value, operation, transaction = null) {
+		function write() {
+			const field = path[0];
+			if (computedFields[field]) {
+				const info = { field, path: formatPath(path), value, previousValue: readComputed(computedFields[field]), operation: "set" };
+				reportError(new JoistorError(`${field} is a computed field and cannot be set`, info));
+				return false;
+			}
+
+			// the parent of the path must exist unless the field is not registered
+			const parent = getIn(transaction ? draftFields(transaction, field) : rawState, path.slice(0, -1));
+			if (schema[field] && (!parent || typeof parent !== "object")) {
+				const info = { field, path: formatPath(path), value, operation: operation ? operation.method : "set" };
+				reportError(new JoistorError(`${formatPath(path.slice(0, -1))} does not exist`, info));
+				return false;
+			}
+			return transaction ? writeDraft(transaction, path, value, operation) : writeState(path, value, operation);
+		}
+
+		return recordWrite(path, value, operation, write, transaction);
+	}
+
+	function proxyValue(value, parent, key) {
+		if (isPlainContainer(value)) {
+			let proxy = proxies.get(value);
+			if (!proxy) {
+				proxy = new Proxy(value, fieldProxyHandler);
+				proxies.set(value, proxy);
+				proxyTargets.set(proxy, value);
+				const transaction = proxyTransactions.get(parent);
+				if (transaction) proxyTransactions.set(value, transaction);
+			}
+
+			const link = proxyLinks.get(value);
+			if (!link || link.parent !== parent || link.key !== key) proxyLinks.set(value, { parent, key });
+			return proxy;
+		}
+		// other objects, e.g. dates, maps and sets, are copied as their writes cannot be tracked
+		return value && typeof value === "object" ? clone(value) : value;
+	}
+
+	function writeState(path, value, operation) {
+		const field = path[0];
+		const prop = path[path.length - 1];
+		if (!schema[field]) {
+			const info = { field, path: formatPath(path), value, operation: operation ? operation.method : "set" };
+			reportError(new JoistorSchemaMissingError(`No schema for ${field}`, info));
+			return false;
+		}
+
+		const obj = getIn(rawState, path.slice(0, -1));
+		const context = { field, path: formatPath(path), oldValue: obj[prop], nextValue: value, source: writeSource, operation };
+
+		// writes to asynchronously validated fields are committed once validation settles
+		if (fieldOptions[field] && fieldOptions[field].async && writeSource === "user") {
+			return runMiddlewares(context, (nextValue) => {
+				context.validation = stageWrite(path, nextValue, operation);
+				return true;
+			});
+		}
+
+		return runMiddlewares(context, (nextValue) => {
+			// validate the state with a copy of the value written to it
+			const existed = prop in obj;
+			const current = obj[prop];
+			assignValue(obj, prop, adopt(nextValue), operation);
+			const valid = validateField(rawState, field);
+			const errorOperation = writeSource === "user" ? (operation ? operation.method : "set") : writeSource;
+			const info = { path, value: nextValue, previousValue: current, operation: errorOperation };
+			const { accepted, error } = acceptValidation(field, valid, rawState, info);
+			if (existed) {
+				obj[prop] = current;
+			} else {
+				delete obj[prop];
+			}
+
+			const validationError = error && createValidationError(error, info);
+			if (!accepted) {
+				reportError(validationError);
+				return false;
+			}
+
+			// store the value normalized by the schema
+			let exists = !isDelete(operation) || Array.isArray(obj);
+			if (!valid.error && fieldPolicy(field) === "coerce") {
+				({ exists, value: nextValue } = valueAt(valid.value, path.slice(1)));
+			}
+
+			// objects of the old value are updated in place, so the old value passed to history and callbacks is a copy
+			const oldValue = isPlainContainer(current) ? clone(current) : current;
+			const value = exists ? adopt(nextValue, current) : undefined;
+			if (exists) {
+				obj[prop] = value;
+			} else {
+				delete obj[prop];
+			}
+
+			// add undo history
+			addHistory([{ path, oldValue, value, oldExists: existed, exists }], describeWrite(path, operation));
+
+			// call onChange callbacks
+			executeChangeCallbacks(path, value, oldValue, operation);
+
+			if (validationError) reportError(validationError);
+			return true;
+		});
+	}
+
+	function writeDraft(transaction, path, value, operation) {
+		const field = path[0];
+		const prop = path[path.length - 1];
+		const info = { field, path: formatPath(path), value, operation: operation ? operation.method : "set" };
+		if (!schema[field]) {
+			reportError(new JoistorSchemaMissingError(`No schema for ${field}`, info));
+			return false;
+		}
+		if (transaction.done) {
+			reportError(new JoistorError(`${formatPath(path)} cannot be written, the transaction has ended`, info));
+			return false;
+		}
+
+		// writes inside of a transaction are only applied to its draft and validated on commit
+		const obj = getIn(draftFields(transaction, field), path.slice(0, -1));
+		const context = { field, path: formatPath(path), oldValue: obj[prop], nextValue: value, source: writeSource, operation };
+		return runMiddlewares(context, (nextValue) => {
+			assignValue(obj, prop, adopt(nextValue, obj[prop]), operation);
+			transaction.touched.add(field);
+			return true;
+		});
+	}
+
+	function stageWrite(path, value, operation) {
+		const field = path[0];
+		const { writes } = validationQueue(field);
+		// the outcome of a recorded write is known once it has been validated
+		const entry = recordingEntry && recordingEntry.type === "write" ? recordingEntry : null;
+
+		// a staged write that has not started validating is cancelled by a newer write to the same path
+		writes.forEach((write) => {
+			if (!write.started && isEqual(write.path, path)) write.cancelled = true;
+		});
+
+		// the value is copied when it is staged, so later changes to it are not validated
+		return new Promise((resolve) => writes.push({ path, value: adopt(value), operation, resolve, started: false, cancelled: false, entry }));
+	}
+
+	function validationQueue(field) {
+		if (!validationQueues[field]) {
+			const queue = { writes: [] };
+			queue.done = new Promise((resolve) => (queue.resolve = resolve));
+			validationQueues[field] = queue;
+			processValidationQueue(field, queue);
+		}
+		return validationQueues[field];
+	}
+
+	async function processValidationQueue(field, queue) {
+		// wait for the write that created the queue to be staged
+		await Promise.resolve();
+
+		while (queue.writes.length > 0) {
+			const write = queue.writes[0];
+			write.started = true;
+			let committed = false;
+			if (write.job) {
+				committed = await joinStagedTransaction(write.job);
+			} else if (!write.cancelled) {
+				committed = await commitStagedWrite(write);
+			}
+			if (write.entry) write.entry.accepted = committed;
+			write.resolve(committed);
+			queue.writes.shift();
+		}
+
+		delete validationQueues[field];
+		queue.resolve();
+	}
+
+	async function commitStagedWrite(write) {
+		const { path, operation, entry } = write;
+		let { value } = write;
+		const field = path[0];
+		if (!schema[field]) return false;
+
+		// validate the field as it would be after the write
+		const relativePath = path.slice(1);
+		let nextFieldValue = value;
+		if (relativePath.length > 0) {
+			nextFieldValue = clone(rawState[field]);
+			const parent = getIn(nextFieldValue, relativePath.slice(0, -1));
+			if (!parent || typeof parent !== "object") return false;
+			assignValue(parent, relativePath[relativePath.length - 1], value, operation);
+		}
+
+		let valid;
+		try {
+			valid = { value: await validateAsync({ [field]: nextFieldValue }, field) };
+		} catch (error) {
+			valid = { error };
+		}
+		if (!valid.error) {
+			const { error } = validateRules({ ...rawState, [field]: nextFieldValue }, field);
+			if (error) valid = { error };
+		}
+
+		// write may have been cancelled, or field may have been unregistered or changed shape while validating
+		const obj = getIn(rawState, path.slice(0, -1));
+		if (write.cancelled || !schema[field] || !obj || typeof obj !== "object") return false;
+
+		const prop = path[path.length - 1];
+		const info = { path, value, previousValue: obj[prop], operation: operation ? operation.method : "set" };
+		const { accepted, error } = acceptValidation(field, valid, { ...rawState, [field]: nextFieldValue }, info);
+		const validationError = error && createValidationError(error, info);
+		if (!accepted) {
+			reportError(validationError, { async: true, entry });
+			return false;
+		}
+
+		// store the value normalized by the schema
+		let exists = !isDelete(operation) || Array.isArray(obj);
+		if (!valid.error && fieldPolicy(field) === "coerce") {
+			({ exists, value } = valueAt(valid.value, relativePath));
+		}
+
+		const existed = prop in obj;
+		const current = obj[prop];
+		const oldValue = isPlainContainer(current) ? clone(current) : current;
+		if (exists) {
+			value = adopt(value, current);
+			obj[prop] = value;
+		} else {
+			delete obj[prop];
+		}
+
+		addHistory([{ path, oldValue, value, oldExists: existed, exists }], describeWrite(path, operation));
+		executeChangeCallbacks(path, value, oldValue, operation);
+
+		if (validationError) reportError(validationError, { async: true, entry });
+		return true;
+	}
+
+	function runMiddlewares(context, commit) {
+		const chain = [...middlewares];
+		context.committed = false;
+
+		function next(i) {
+			if (i === chain.length) {
+				context.committed = commit(context.nextValue);
+				return context.committed;
+			}
+			if (chain[i].removed) return next(i + 1);
+			callListener(chain[i], context, () => next(i + 1));
+			return context.committed;
+		}
+
+		return next(0);
+	}
+
+	function beginTransaction(description, operation, entry) {
+		// each transaction has its own draft holding copies of the fields read or written through its state, and the
+		// copies of the state they were made from
+		const transaction = { fields: {}, base: {}, touched: new Set(), description, operation, entry, done: false };
+		transaction.state = new Proxy(transaction.fields, stateRegisterProxyHandler(transaction));
+		proxyTransactions.set(transaction.fields, transaction);
+		return transaction;
+	}
+
+	function callTransaction(transaction, callback) {
+		// writes made through store.state by the callback are recorded on their own
+		const previous = recordingEntry;
+		if (transaction.entry) recordingEntry = null;
+		try {
+			return callback(transaction.state);
+		} finally {
+			recordingEntry = previous;
+		}
+	}
+
+	function draftFields(transaction, field) {
+		const { fields, base } = transaction;
+		if (!(field in fields) && field in rawState) {
+			base[field] = clone(rawState[field]);
+			fields[field] = clone(rawState[field]);
+		}
+		return fields;
+	}
+
+	function commitTransaction(transaction) {
+		const { touched, description, operation, entry } = transaction;
+		transaction.done = true;
+
+		// the changes made to the draft are applied to the current state, keeping the changes made since it was drafted
+		const touchedFields = [...touched].filter((field) => schema[field]);
+		const fields = {};
+		try {
+			touchedFields.forEach((field) => {
+				const patched = { [field]: clone(rawState[field]) };
+				diffPatches(transaction.base[field], transaction.fields[field], [field]).forEach((jsonPatch) => patchValue(patched, jsonPatch));
+				fields[field] = patched[field];
+			});
+		} catch (error) {
+			reportError(new JoistorError(error.message, { operation, cause: error }), { entry });
+			return false;
+		}
+
+		// validate every touched field before applying any of them
+		const warnings = [];
+		for (const field of touchedFields) {
+			const valid = validateField({ ...rawState, ...fields }, field);
+			const info = { path: [field], value: fields[field], previousValue: rawState[field], operation };
+			const { accepted, error } = acceptValidation(field, valid, { ...rawState, ...fields }, info);
+			const validationError = error && createValidationError(error, info);
+			if (!accepted) {
+				touchedFields.filter((touchedField) => validationErrors[touchedField]).forEach((touchedField) => refreshValidity(touchedField));
+				reportError(validationError, { entry });
+				return false;
+			}
+			if (validationError) warnings.push(validationError);
+			if (!valid.error && fieldPolicy(field) === "coerce") fields[field] = valid.value;
+		}
+
+		if (touchedFields.length === 0) return true;
+
+		// the external rules of asynchronously validated fields are validated before the transaction is committed
+		const asyncFields = touchedFields.filter((field) => fieldOptions[field].async);
+		if (asyncFields.length > 0) {
+			stageTransaction({ fields, touchedFields, asyncFields, description, operation, warnings, source: writeSource, entry: entry || recordingEntry });
+			return true;
+		}
+
+		applyTransaction(fields, touchedFields, description);
+		warnings.forEach((warning) => reportError(warning, { entry }));
+		return true;
+	}
+
+	function applyTransaction(fields, touchedFields, description) {
+		// the objects of the fields are updated in place, so proxies read before the transaction see the committed state
+		const oldFields = {};
+		touchedFields.forEach((field) => {
+			oldFields[field] = clone(rawState[field]);
+			rawState[field] = adopt(fields[field], rawState[field]);
+		});
+
+		// record the whole transaction as a single history entry
+		addHistory(
+			touchedFields.map((field) => ({ path: [field], oldValue: oldFields[field], value: rawState[field] })),
+			description || `transaction ${touchedFields.join(", ")}`
+		);
+		// changes that are not recorded, e.g. patches of other stores, would be reverted or broken by undo and redo of
+		// the history of the paths they change
+		if (writeSource !== "user") {
+			dropChangedHistory(touchedFields.flatMap((field) => diffPatches(oldFields[field], rawState[field], [field])));
+		}
+
+		touchedFields.forEach((field) => executeChangeCallbacks([field], rawState[field], oldFields[field]));
+	}
+
+	function stageTransaction(transaction) {
+		// the transaction is queued behind the staged writes of each of its asynchronously validated fields and is
+		// committed once it has reached the front of all of their queues
+		const job = { ...transaction, arrived: 0 };
+		job.done = new Promise((resolve) => (job.resolve = resolve));
+		transaction.asyncFields.forEach((field) => {
+			validationQueue(field).writes.push({ job, resolve: () => {}, started: false, cancelled: false, entry: null });
+		});
+	}
+
+	function cancelStagedWrites(field) {
+		const queue = validationQueues[field];
+		if (!queue) return;
+
+		queue.writes.forEach((write) => {
+			write.cancelled = true;
+			if (write.job) write.job.cancelled = true;
+		});
+	}
+
+	function joinStagedTransaction(job) {
+		job.arrived++;
+		if (job.arrived === job.asyncFields.length) {
+			commitStagedTransaction(job).then((committed) => {
+				if (job.entry) job.entry.accepted = committed;
+				job.resolve(committed);
+			});
+		}
+		return job.done;
+	}
+
+	async function commitStagedTransaction(job) {
+		const { fields, touchedFields, asyncFields, description, operation, warnings, source, entry } = job;
+		const results = await Promise.all(
+			asyncFields.map((field) => validateAsync(fields, field).then((value) => ({ value }), (error) => ({ error })))
+		);
+
+		// transaction may have been cancelled, or fields may have been unregistered while validating
+		if (job.cancelled || !touchedFields.every((field) => schema[field])) return false;
+
+		for (const [i, field] of asyncFields.entries()) {
+			const valid = results[i];
+			const info = { path: [field], value: fields[field], previousValue: rawState[field], operation };
+			const { accepted, error } = acceptValidation(field, valid, { ...rawState, ...fields }, info);
+			const validationError = error && createValidationError(error, info);
+			if (!accepted) {
+				touchedFields.filter((touchedField) => validationErrors[touchedField]).forEach((touchedField) => refreshValidity(touchedField));
+				reportError(validationError, { async: true, entry });
+				return false;
+			}
+			if (validationError) warnings.push(validationError);
+			if (!valid.error && fieldPolicy(field) === "coerce") fields[field] = valid.value;
+		}
+
+		const previousSource = writeSource;
+		writeSource = source;
+		try {
+			applyTransaction(fields, touchedFields, description);
+		} finally {
+			writeSource = previousSource;
+		}
+		warnings.forEach((warning) => reportError(warning, { async: true, entry }));
+		return true;
+	}
+
+	function trackRead(obj, path) {
+		if (!trackedReads) return;
+		// reading the length of an array depends on items being added or removed
+		const shallow = Array.isArray(obj) && path[path.length - 1] === "length";
+		trackedReads.push({ segments: shallow ? path.slice(0, -1) : path, shallow });
+	}
+
+	function readComputed(computedField) {
+		if (!computedField.dirty) return computedField.value;
+
+		const parentReads = trackedReads;
+		trackedReads = [];
+		let value;
+		try {
+			value = computedField.fn(...computedField.deps.map((dep) => state[dep]));
+		} finally {
+			const reads = trackedReads;
+			trackedReads = parentReads;
+			if (parentReads) parentReads.push(...reads);
+
+			computedField.dependencies = computedDependencies(reads);
+			computedField.dirty = false;
+			computedField.value = value;
+		}
+		return value;
+	}
+
+	function evaluateComputed(computedField) {
+		// only computed fields with listeners are evaluated before they are read
+		if (!computedField.dirty || !hasChangeListeners(computedField.name)) return;
+		if (!computedField.deps.every((dep) => dep in rawState || computedFields[dep])) return;
+
+		try {
+			readComputed(computedField);
+		} catch (error) {
+			const info = { field: computedField.name, path: computedField.name, operation: "computed", cause: error };
+			reportError(new JoistorError(`Failed to compute ${computedField.name}`, info), { async: true });
+		}
+	}
+
+	function hasChangeListeners(field) {
+		return (onChangeCallbacks[field] || []).length > 0 || (onChangeCallbacks["*"] || []).length > 0;
+	}
+
+	function invalidateComputed(path) {
+		Object.values(computedFields).forEach((computedField) => {
+			if (computedField.dirty) {
+				// listened computed fields that could not be evaluated yet are evaluated once their fields are registered
+				if (path.length === 1 && computedField.deps.includes(path[0]) && hasChangeListeners(computedField.name)) {
+					evaluateComputed(computedField);
+					if (!computedField.dirty) executeChangeCallbacks([computedField.name], computedField.value, undefined);
+				}
+				return;
+			}
+
+			const changed = computedField.dependencies.some(({ segments, shallow }) => {
+				if (shallow) return path.length === segments.length + 1 && pathsOverlap(segments, path);
+				return pathsOverlap(segments, path);
+			});
+			if (!changed) return;
+
+			computedField.dirty = true;
+
+			// computed fields with listeners are recomputed right away so the listeners can be called
+			const { name } = computedField;
+			if (hasChangeListeners(name)) {
+				const oldValue = computedField.value;
+				executeChangeCallbacks([name], readComputed(computedField), oldValue);
+			} else {
+				invalidateComputed([name]);
+			}
+		});
+	}
+
+	function shouldPersist(field) {
+		if (!persist || !schema[field]) return false;
+		if (persist.include && !persist.include.includes(field)) return false;
+		return !persist.exclude.includes(field);
+	}
+
+	function hydrate(field, defaultValue) {
+		if (!shouldPersist(field)) return { value: defaultValue, hydrated: false };
+
+		let value;
+		try {
+			value = persist.adapter.load(field, { codec });
+		} catch (error) {
+			reportError(new JoistorError(`Failed to load ${field}`, { field, path: field, operation: "hydrate", cause: error }), { async: true });
+			return { value: defaultValue, hydrated: false };
+		}
+		if (value === undefined) return { value: defaultValue, hydrated: false };
+
+		// state of versioned fields is persisted with its version
+		let version = 0;
+		if (fieldVersion(field) > 0 && isVersionedState(value)) ({ version, state: value } = value);
+		try {
+			value = migrate(field, value, version, "hydrate");
+		} catch (error) {
+			reportError(error, { async: true });
+			return { value: defaultValue, hydrated: false };
+		}
+
+		// persisted state is only used if it is still valid for the registered schema
+		const { error } = validate({ [field]: value }, field);
+		if (error) {
+			reportError(createValidationError(error, { path: [field], value, operation: "hydrate" }), { async: true });
+			return { value: defaultValue, hydrated: false };
+		}
+		return { value, hydrated: true };
+	}
+
+	function fieldVersion(field) {
+		return (fieldOptions[field] && fieldOptions[field].version) || 0;
+	}
+
+	function migrate(field, value, fromVersion, operation) {
+		const toVersion = fieldVersion(field);
+		const info = { field, path: field, value, operation, fromVersion, toVersion };
+		if (fromVersion > toVersion) {
+			throw new JoistorMigrationError(`${field} version ${fromVersion} is newer than version ${toVersion}`, info);
+		}
+
+		const migrations = (fieldOptions[field] && fieldOptions[field].migrations) || {};
+		for (let version = fromVersion + 1; version <= toVersion; version++) {
+			if (!migrations[version]) continue;
+			try {
+				value = migrations[version](value);
+			} catch (error) {
+				throw new JoistorMigrationError(`Failed to migrate ${field} to version ${version}`, { ...info, cause: error });
+			}
+		}
+		return value;
+	}
+
+	function schedulePersist(field) {
+		if (!shouldPersist(field)) return;
+
+		if (!persist.throttle) {
+			save(field);
+			return;
+		}
+
+		persistPending.add(field);
+		if (!persistTimer) persistTimer = setTimeout(flush, persist.throttle);
+	}
+
+	function save(field) {
+		if (!(field in rawState)) return;
+
+		const version = fieldVersion(field);
+		const value = version > 0 ? { version, state: clone(rawState[field]) } : clone(rawState[field]);
+		const fail = (error) => {
+			reportError(new JoistorError(`Failed to persist ${field}`, { field, path: field, value, operation: "persist", cause: error }), { async: true });
+		};
+		try {
+			const saved = persist.adapter.save(field, value, { codec });
+			if (saved && typeof saved.catch === "function") saved.catch(fail);
+		} catch (error) {
+			fail(error);
+		}
+	}
+
+	function executeRegisterCallbacks(field) {
+		callListeners(onRegisterCallbacks, field, state);
+	}
+
+	function executeUnregisterCallbacks(field) {
+		callListeners(onUnregisterCallbacks, field, state);
+	}
+
+	function executeChangeCallbacks(path, value, oldValue, operation, patches) {
+		if (snapshot) snapshotChanges.push(path);
+		invalidateComputed(path);
+		schedulePersist(path[0]);
+
+		const listeners = [...(onChangeCallbacks[path[0]] || []), ...(onChangeCallbacks["*"] || [])];
+		listeners.sort((a, b) => b.priority - a.priority);
+
+		listeners.forEach((listener) => {
+			const { segments } = listener;
+			if (!pathsOverlap(segments, path)) return;
+
+			// change is at or below the listened path
+			if (path.length >= segments.length) {
+				if (!isEqual(value, oldValue)) callListener(listener, state, formatPath(path), value, oldValue, operation);
+				return;
+			}
+
+			// change is above the listened path, only call back for the nested values that changed
+			const relativePaths = expandPath(segments.slice(path.length), value, oldValue);
+			relativePaths.forEach((relativePath) => {
+				const nestedValue = getIn(value, relativePath);
+				const nestedOldValue = getIn(oldValue, relativePath);
+				if (!isEqual(nestedValue, nestedOldValue)) {
+					callListener(listener, state, formatPath([...path, ...relativePath]), nestedValue, nestedOldValue, operation);
+				}
+			});
+		});
+
+		if (onPatchCallbacks.length > 0) {
+			const changePatches = patches || diffPatches(oldValue, value, path);
+			if (changePatches.length > 0) callListeners(onPatchCallbacks, changePatches, { source: writeSource, operation });
+		}
+	}
+
+	function recordAction(details, action, parent = recordingEntry) {
+		const previous = recordingEntry;
+		// actions made by callbacks of another action are not recorded, replaying the action runs the callbacks again
+		if (recorders.length === 0 || (parent && !parent.entries)) return action(null);
+
+		const entry = { type: details.type, timestamp: Date.now(), ...definedEntries(clone(details)), accepted: false, errors: [] };
+		if (parent) {
+			parent.entries.push(entry);
+		} else {
+			callListeners(recorders, entry);
+		}
+
+		recordingEntry = entry;
+		try {
+			const result = action(entry);
+			if (result instanceof Promise) {
+				result.then((value) => (entry.accepted = value !== false)).catch(() => {});
+			} else {
+				entry.accepted = result !== false;
+			}
+			return result;
+		} finally {
+			recordingEntry = previous;
+		}
+	}
+
+	function recordWrite(path, value, operation, write, transaction = null) {
+		// writes to a draft are recorded in the entries of their transaction
+		if (recorders.length === 0 || (transaction && !transaction.entry)) return write();
+
+		const details = { type: "write", path: formatPath(path), value, operation };
+		if (!transaction) return recordAction({ ...details, oldValue: getIn(rawState, path) }, write);
+		return recordAction({ ...details, oldValue: getIn(draftFields(transaction, path[0]), path) }, write, transaction.entry);
+	}
+
+	function reportError(error, reportOpts = { async: false }) {
+		const entry = reportOpts.entry || recordingEntry;
+		if (entry) entry.errors.push(describeError(error));
+
+		// errors of asynchronous operations have no caller to throw to
+		if (opts.throwErrors && !reportOpts.async) throw error;
+
+		if (error.field && onFieldErrorCallbacks[error.field]) {
+			callListeners(onFieldErrorCallbacks[error.field], error, state);
+		}
+		callListeners(onErrorCallbacks, error, state);
+	}
+
+	function createValidationError(error, { path, value, previousValue, operation }) {
+		if (error instanceof JoistorError) return error;
+
+		const info = { field: path[0], path: formatPath(path), value, previousValue, operation, cause: error };
+		return new JoistorValidationError(error.message, { ...info, details: error.details });
+	}
+
+	function executeHistoryChangeCallbacks() {
+		if (onHistoryChangeCallbacks.length === 0) return;
+		callListeners(onHistoryChangeCallbacks, timeline(), state);
+	}
+
+	function addHistory(changes, description) {
+		if (writeSource !== "user") return;
+
+		// changes of untracked fields are not recorded
+		changes = changes.filter(({ path }) => !fieldOptions[path[0]] || fieldOptions[path[0]].history !== false);
+
+		const entry = { id: historyId + 1, timestamp: Date.now(), description, patches: [], inversePatches: [] };
+		changes.forEach(({ path, oldValue, value, oldExists, exists }) => {
+			entry.patches.push(...diffPatches(oldValue, value, path, { oldExists, exists }));
+			entry.inversePatches.unshift(...diffPatches(value, oldValue, path, { oldExists: exists, exists: oldExists }));
+		});
+		if (entry.patches.length === 0) return;
+
+		historyId = entry.id;
+		history.undo.push(entry);
+		if (history.undo.length > opts.historyBuffer) historyBaseId = history.undo.shift().id;
+		history.redo = [];
+		if (opts.historySize) trimHistorySize();
+		new Set(changes.map(({ path }) => path[0])).forEach(trimFieldHistory);
+
+		executeHistoryChangeCallbacks();
+	}
+
+	function undoEntry() {
+		const entry = history.undo[history.undo.length - 1];
+		if (!checkPatchFields(entry.inversePatches, "undo") || !applyPatches(entry.inversePatches, "undo")) return false;
+
+		history.redo.push(history.undo.pop());
+		return true;
+	}
+
+	function redoEntry() {
+		const entry = history.redo[history.redo.length - 1];
+		if (!checkPatchFields(entry.patches, "redo") || !applyPatches(entry.patches, "redo")) return false;
+
+		history.undo.push(history.redo.pop());
+		return true;
+	}
+
+	function trimHistorySize() {
+		// the buffer limits the number of entries, the size limits the memory held by their patches
+		let size = history.undo.reduce((total, entry) => total + historyEntrySize(entry), 0);
+		while (size > opts.historySize && history.undo.length > 0) {
+			const entry = history.undo.shift();
+			historyBaseId = entry.id;
+			size -= entry.size;
+		}
+	}
+
+	function historyEntrySize(entry) {
+		if (entry.size === undefined) entry.size = codec.encode([entry.patches, entry.inversePatches]).length;
+		return entry.size;
+	}
+
+	function trimFieldHistory(field) {
+		const buffer = fieldOptions[field] && fieldOptions[field].historyBuffer;
+		if (!buffer) return;
+
+		const isFieldPatch = (patch) => parsePointer(patch.path)[0] === field;
+		const entries = history.undo.filter((entry) => entry.patches.some(isFieldPatch));
+		entries.slice(0, Math.max(entries.length - buffer, 0)).forEach((entry) => removePatches(entry, isFieldPatch));
+	}
+
+	function dropFieldHistory(field) {
+		const isFieldPatch = (patch) => parsePointer(patch.path)[0] === field;
+		const removed = [...history.undo, ...history.redo].filter((entry) => removePatches(entry, isFieldPatch));
+		if (removed.length > 0) executeHistoryChangeCallbacks();
+	}
+
+	function dropChangedHistory(patches) {
+		// inserts and removals of array items move the following items, so they change the whole array
+		const paths = patches.map(({ op, path: pointer }) => {
+			const path = parsePointer(pointer);
+			return op !== "replace" && Array.isArray(getIn(rawState, path.slice(0, -1))) ? path.slice(0, -1) : path;
+		});
+		const isChangedPatch = (patch) => paths.some((path) => pathsOverlap(path, parsePointer(patch.path)));
+		const removed = [...history.undo, ...history.redo].filter((entry) => removePatches(entry, isChangedPatch));
+		if (removed.length > 0) executeHistoryChangeCallbacks();
+	}
+
+	function removePatches(entry, isRemoved) {
+		if (!entry.patches.some(isRemoved)) return false;
+
+		entry.patches = entry.patches.filter((patch) => !isRemoved(patch));
+		entry.inversePatches = entry.inversePatches.filter((patch) => !isRemoved(patch));
+		entry.size = undefined;
+		if (entry.patches.length > 0) return true;
+
+		if (history.undo[0] === entry) {
+			// the state after the oldest entry becomes the oldest state that can be reached
+			historyBaseId = entry.id;
+		} else {
+			// checkpoints of a dropped entry are moved to the entry before it in the timeline
+			const ids = [historyBaseId, ...history.undo.map(({ id }) => id), ...[...history.redo].reverse().map(({ id }) => id)];
+			const previousId = ids[ids.indexOf(entry.id) - 1];
+			Object.values(checkpoints)
+				.filter((checkpoint) => checkpoint.id === entry.id)
+				.forEach((checkpoint) => (checkpoint.id = previousId));
+		}
+
+		[history.undo, history.redo].forEach((stack) => {
+			const index = stack.indexOf(entry);
+			if (index !== -1) stack.splice(index, 1);
+		});
+		return true;
+	}
+
+	function moveFieldChanges(field, from, to, source) {
+		const isFieldPatch = (patch) => parsePointer(patch.path)[0] === field;
+		let index = from.length - 1;
+		while (index >= 0 && !from[index].patches.some(isFieldPatch)) index--;
+		if (index === -1) return false;
+
+		// the changes of the field are split from the changes made to other fields in the same entry
+		const entry = from[index];
+		let moved = entry;
+		if (!entry.patches.every(isFieldPatch)) {
+			moved = { ...entry, patches: entry.patches.filter(isFieldPatch), inversePatches: entry.inversePatches.filter(isFieldPatch), size: undefined };
+		}
+
+		const patches = source === "undo" ? moved.inversePatches : moved.patches;
+		if (!checkPatchFields(patches, source) || !applyPatches(patches, source)) return false;
+
+		if (moved === entry) {
+			from.splice(index, 1);
+		} else {
+			historyId++;
+			moved.id = historyId;
+			entry.patches = entry.patches.filter((patch) => !isFieldPatch(patch));
+			entry.inversePatches = entry.inversePatches.filter((patch) => !isFieldPatch(patch));
+			entry.size = undefined;
+		}
+		to.push(moved);
+		executeHistoryChangeCallbacks();
+		return true;
+	}
+
+	function checkpointIndex(label) {
+		if (!checkpoints[label]) {
+			reportError(new JoistorHistoryError(`Checkpoint ${label} does not exist`, { operation: "jumpTo" }));
+			return null;
+		}
+
+		const { id } = checkpoints[label];
+		if (id === historyBaseId) return 0;
+
+		const index = timeline().findIndex((entry) => entry.id === id);
+		if (index === -1) {
+			reportError(new JoistorHistoryError(`Checkpoint ${label} is no longer in history`, { operation: "jumpTo" }));
+			return null;
+		}
+		return index + 1;
+	}
+
+	function checkPatchFields(patches, operation) {
+		return patches.every(({ path: pointer }) => {
+			const field = parsePointer(pointer)[0];
+			if (field in rawState) return true;
+
+			reportError(new JoistorHistoryError(`History field ${field} is not registered`, { field, path: field, operation }));
+			return false;
+		});
+	}
+
+	function applyPatches(patches, source) {
+		const previousSource = writeSource;
+		writeSource = source;
+		try {
+			return applySourcePatches(patches, source);
+		} finally {
+			writeSource = previousSource;
+		}
+	}
+
+	function applySourcePatches(patches, source) {
+		const fields = new Set();
+		const applied = [];
+		let historyError = null;
+		const cancelled = patches.some(({ op, path: pointer, value }) => {
+			const path = parsePointer(pointer);
+			const field = path[0];
+			const parent = getIn(rawState, path.slice(0, -1));
+			const key = path[path.length - 1];
+			const oldValue = getIn(rawState, path);
+			fields.add(field);
+
+			// the state may have been changed without being recorded in history, e.g. by patches of other stores
+			if (!canPatch(parent, op, key)) {
+				const info = { field, path: formatPath(path), operation: source };
+				historyError = new JoistorHistoryError(`Cannot ${source} the change of ${formatPath(path)}, the state has changed since`, info);
+				return true;
+			}
+
+			const context = { field, path: formatPath(path), oldValue, nextValue: clone(value), source };
+			const committed = runMiddlewares(context, (nextValue) => {
+				nextValue = adopt(nextValue);
+				if (op === "remove") {
+					if (Array.isArray(parent)) parent.splice(Number(key), 1);
+					else delete parent[key];
+				} else if (op === "add" && Array.isArray(parent)) {
+					parent.splice(Number(key), 0, nextValue);
+				} else {
+					parent[key] = nextValue;
+				}
+
+				const changePatches = [op === "remove" ? { op, path: pointer } : { op, path: pointer, value: clone(nextValue) }];
+				executeChangeCallbacks(path, getIn(rawState, path), oldValue, undefined, changePatches);
+				return true;
+			});
+			if (committed) applied.push({ op, pointer, path, parent, key, oldValue });
+			return !committed;
+		});
+
+		// a vetoed patch or a patch that no longer applies cancels the whole undo or redo, so the state keeps matching
+		// the history
+		if (cancelled) {
+			applied.reverse().forEach(revertPatch);
+		} else {
+			// staged writes were made to the state before the undo or redo, committing them would clear the redo history
+			fields.forEach(cancelStagedWrites);
+		}
+
+		// undo and redo are not validated, but can change the validity of fields holding invalid state
+		fields.forEach((field) => {
+			refreshValidity(field);
+			if (!validationErrors[field]) delete drafts[field];
+		});
+		if (historyError) reportError(historyError);
+		return !cancelled;
+	}
+
+	function revertPatch({ op, pointer, path, parent, key, oldValue }) {
+		const value = getIn(rawState, path);
+		let inversePatch = { op: "replace", path: pointer, value: clone(oldValue) };
+		if (Array.isArray(parent) && op === "add") {
+			parent.splice(Number(key), 1);
+			inversePatch = { op: "remove", path: pointer };
+		} else if (Array.isArray(parent) && op === "remove") {
+			parent.splice(Number(key), 0, oldValue);
+			inversePatch = { op: "add", path: pointer, value: clone(oldValue) };
+		} else if (op === "add") {
+			delete parent[key];
+			inversePatch = { op: "remove", path: pointer };
+		} else {
+			parent[key] = oldValue;
+			if (op === "remove") inversePatch = { op: "add", path: pointer, value: clone(oldValue) };
+		}
+		executeChangeCallbacks(path, getIn(rawState, path), value, undefined, [inversePatch]);
+	}
+
+	function validate(obj, field, validateOpts = {}) {
+		if (!schema[field]) {
+			return { error: new JoistorSchemaMissingError(`No schema for ${field}`, { field, path: field, value: obj[field] }) };
+		}
+
+		// external rules can only be run by validateAsync
+		validateOpts = { ...validateOpts };
+		if (fieldOptions[field] && fieldOptions[field].async) validateOpts.externals = false;
+		if (fieldPolicy(field) === "coerce") validateOpts.stripUnknown = true;
+
+		// returns { error, value }
+		return validatorOf(schema[field]).validate(obj[field], { ...validateOpts, strict: opts.strict });
+	}
+
+	function validatorOf(fieldSchema) {
+		if (!validators.has(fieldSchema)) validators.set(fieldSchema, toValidator(fieldSchema));
+		return validators.get(fieldSchema);
+	}
+
+	function fieldPolicy(field) {
+		return (fieldOptions[field] && fieldOptions[field].policy) || opts.policy;
+	}
+
+	function acceptValidation(field, { error }, obj, info) {
+		if (!error) {
+			delete drafts[field];
+			setValidity(field, {});
+
+			// fields sharing a rule with the field may have become valid
+			rules
+				.filter((rule) => rule.fields.includes(field))
+				.flatMap((rule) => rule.fields)
+				.filter((ruleField) => ruleField !== field && validationErrors[ruleField])
+				.forEach((ruleField) => refreshValidity(ruleField, obj));
+			return { accepted: true };
+		}
+
+		// the error is returned to be reported by the caller once the write is reverted or committed
+		const policy = fieldPolicy(field);
+		if (policy === "draft") {
+			drafts[field] = createValidationError(error, info);
+			setValidity(field, validationDetails(obj, field, error));
+			return { accepted: true };
+		}
+		if (policy !== "warn") return { accepted: false, error };
+
+		setValidity(field, validationDetails(obj, field, error));
+		return { accepted: true, error };
+	}
+
+	function refreshValidity(field, obj = rawState) {
+		if (!schema[field] || !(field in obj)) {
+			setValidity(field, {});
+			return;
+		}
+		setValidity(field, validationDetails(obj, field));
+	}
+
+	function setValidity(field, fieldErrors) {
+		const previous = validationErrors[field] || {};
+		if (isEqual(previous, fieldErrors)) return;
+
+		if (Object.keys(fieldErrors).length === 0) {
+			delete validationErrors[field];
+		} else {
+			validationErrors[field] = fieldErrors;
+		}
+		callListeners(onValidityChangeCallbacks, flattenErrors(), state);
+	}
+
+	function validationDetails(obj, field, error) {
+		const fieldErrors = {};
+		const addError = (path, message, type) => {
+			const key = formatPath(path);
+			if (!fieldErrors[key]) fieldErrors[key] = [];
+			fieldErrors[key].push({ message, type });
+		};
+
+		const valid = validate(obj, field, { abortEarly: false });
+		if (valid && valid.error) {
+			valid.error.details.forEach(({ message, type, path }) => addError([field, ...path.map(String)], message, type));
+		}
+		ruleErrors(obj, field).forEach((ruleError) => {
+			if (ruleError.details) {
+				ruleError.details.forEach(({ message, type, path }) => addError(path.map(String), message, type));
+			} else {
+				addError([field], ruleError.message, "rule");
+			}
+		});
+
+		// errors without details, e.g. from external rules, are added to the field
+		if (error && Object.keys(fieldErrors).length === 0) addError([field], error.message, "external");
+		return fieldErrors;
+	}
+
+	function flattenErrors() {
+		return Object.assign({}, ...Object.values(validationErrors));
+	}
+
+	function validateField(obj, field) {
+		const valid = validate(obj, field);
+		if (!valid || valid.error) return valid;
+
+		const { error } = validateRules(obj, field);
+		return error ? { error } : valid;
+	}
+
+	function validateRules(obj, field) {
+		const [error] = ruleErrors(obj, field, { abortEarly: true });
+		return error ? { error } : {};
+	}
+
+	function ruleErrors(obj, field, validateOpts = { abortEarly: false }) {
+		const errors = [];
+		for (const { fields, check, name } of rules) {
+			// rules are only checked once all of their fields are registered
+			if (!fields.includes(field) || !fields.every((ruleField) => schema[ruleField] && ruleField in obj)) continue;
+
+			if (typeof check === "function") {
+				const result = check(...fields.map((ruleField) => obj[ruleField]));
+				if (result === false || typeof result === "string") {
+					errors.push(new Error(typeof result === "string" ? result : `Rule ${name} failed`));
+				}
+			} else {
+				const values = Object.fromEntries(fields.map((ruleField) => [ruleField, obj[ruleField]]));
+				const { error } = validatorOf(check).validate(values, { allowUnknown: true, ...validateOpts });
+				if (error) errors.push(error);
+			}
+
+			if (validateOpts.abortEarly && errors.length > 0) break;
+		}
+		return errors;
+	}
+
+	function validateAsync(obj, field) {
+		// resolves to the validated value, rejects with the validation error
+		const validateOpts = { strict: opts.strict, stripUnknown: fieldPolicy(field) === "coerce" };
+		const validator = validatorOf(schema[field]);
+		if (!validator.validateAsync) return validateSync(validator, obj[field], validateOpts);
+		return validator.validateAsync(obj[field], validateOpts);
+	}
+
+	return {
+		state,
+		schema,
+		history,
+		register,
+		unregister,
+		onRegister,
+		onUnregister,
+		onChange,
+		onError,
+		rule,
+		validateAll,
+		isValid,
+		onValidityChange,
+		onPatch,
+		patch,
+		computed,
+		get,
+		set,
+		update,
+		merge,
+		reset,
+		describe,
+		scope,
+		load,
+		getSnapshot,
+		serialize,
+		restore,
+		flush,
+		isValidating,
+		settled,
+		transaction,
+		transactionAsync,
+		undo,
+		redo,
+		checkpoint,
+		jumpTo,
+		onHistoryChange,
+		timeline,
+		use,
+		record,
+		get drafts() {
+			return { ...drafts };
+		},
+		get errors() {
+			return flattenErrors();
+		},
+		get canUndo() {
+			return history.undo.length > 0;
+		},
+		get canRedo() {
+			return history.redo.length > 0;
+		},
+	};
+}
+
+// ========= Utilities =========
+
+function isDelete(operation) {
+	return Boolean(operation) && operation.method === "delete";
+}
+
+function assignValue(obj, prop, value, operation) {
+	// deleted array items are set to undefined instead of leaving a hole
+	if (isDelete(operation) && !Array.isArray(obj)) {
+		delete obj[prop];
+	} else {
+		obj[prop] = value;
+	}
+}
+
+function describeError(error) {
+	const details = error.details && error.details.map(({ message, path, type }) => ({ message, path, type }));
+	return definedEntries({ name: error.name, message: error.message, path: error.path, details });
+}
+
+function definedEntries(obj) {
+	// undefined values are left out of recorded entries, missing keys read as undefined
+	return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+}
+
+function describeWrite(path, operation) {
+	return `${operation ? operation.method : "set"} ${formatPath(path)}`;
+}
+
+function parsePath(path) {
+	if (Array.isArray(path)) return path.map(String);
+	return String(path)
+		.replace(/\[([^\]]*)\]/g, ".$1")
+		.split(".")
+		.filter((segment) => segment !== "");
+}
+
+function formatPath(segments) {
+	return segments.reduce((path, segment) => {
+		if (/^\d+$/.test(segment)) return `${path}[${segment}]`;
+		return path ? `${path}.${segment}` : segment;
+	}, "");
+}
+
+function persistOptions(persist) {
+	if (!persist) return null;
+
+	// persist can be an adapter or an object with the adapter and its options
+	const { adapter = persist, throttle = 0, include = null, exclude = [] } = persist.adapter ? persist : {};
+	return { adapter, throttle, include, exclude };
+}
+
+async function validateSync(validator, value, validateOpts) {
+	const { error, value: validValue } = validator.validate(value, validateOpts);
+	if (error) throw error;
+	return validValue;
+}
+
+function isVersionedState(value) {
+	if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+	const keys = Object.keys(value);
+	return keys.length === 2 && Number.isInteger(value.version) && "state" in value;
+}
+
+function computedDependencies(reads) {
+	// reads of objects whose properties were read afterwards are only part of the path to other reads
+	const parents = new Set();
+	reads.forEach(({ segments }) => {
+		for (let i = 1; i < segments.length; i++) parents.add(JSON.stringify(segments.slice(0, i)));
+	});
+	return reads.filter(({ segments, shallow }) => shallow || !parents.has(JSON.stringify(segments)));
+}
+
+function addListener(listeners, listener, { once = false, priority = 0, signal } = {}) {
+	if (signal && signal.aborted) return () => {};
+
+	const entry = { ...listener, once, priority, removed: false };
+
+	// higher priorities are called first, equal priorities are called in the order they were added
+	const index = listeners.findIndex((other) => other.priority < priority);
+	listeners.splice(index === -1 ? listeners.length : index, 0, entry);
+
+	entry.remove = () => {
+		entry.removed = true;
+		const i = listeners.indexOf(entry);
+		if (i !== -1) listeners.splice(i, 1);
+		if (signal) signal.removeEventListener("abort", entry.remove);
+	};
+	if (signal) signal.addEventListener("abort", entry.remove, { once: true });
+
+	return entry.remove;
+}
+
+function callListeners(listeners, ...args) {
+	[...listeners].forEach((listener) => callListener(listener, ...args));
+}
+
+function callListener(listener, ...args) {
+	// listener may have been removed by a callback called before it
+	if (listener.removed) return;
+	if (listener.once) listener.remove();
+	return listener.callback(...args);
+}
+
+function pathsOverlap(pattern, path) {
+	const length = Math.min(pattern.length, path.length);
+	for (let i = 0; i < length; i++) {
+		if (pattern[i] !== "*" && pattern[i] !== path[i]) return false;
+	}
+	return true;
+}
+
+function expandPath(pattern, ...objs) {
+	if (pattern.length === 0) return [[]];
+
+	const [segment, ...rest] = pattern;
+	let keys = [segment];
+	if (segment === "*") {
+		keys = [...new Set(objs.flatMap((obj) => (obj && typeof obj === "object" ? Object.keys(obj) : [])))];
+	}
+
+	return keys.flatMap((key) => {
+		const children = objs.map((obj) => (obj && typeof obj === "object" ? obj[key] : undefined));
+		return expandPath(rest, ...children).map((relativePath) => [key, ...relativePath]);
+	});
+}
+
+function parsePointer(pointer) {
+	return pointer
+		.split("/")
+		.slice(1)
+		.map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function formatPointer(segments) {
+	return segments.map((segment) => `/${String(segment).replace(/~/g, "~0").replace(/\//g, "~1")}`).join("");
+}
+
+function patchValue(root, { op, path: pointer, value }) {
+	const path = parsePointer(pointer);
+	const parent = getIn(root, path.slice(0, -1));
+	const key = path[path.length - 1];
+	if (!parent || typeof parent !== "object") throw new Error(`Cannot ${op} ${pointer}, its parent does not exist`);
+
+	if (op === "remove") {
+		if (Array.isArray(parent)) parent.splice(Number(key), 1);
+		else delete parent[key];
+	} else if (op === "add" && Array.isArray(parent)) {
+		parent.splice(key === "-" ? parent.length : Number(key), 0, clone(value));
+	} else if (op === "add" || op === "replace") {
+		parent[key] = clone(value);
+	} else {
+		throw new Error(`Unsupported patch operation ${op}`);
+	}
+}
+
+function canPatch(parent, op, key) {
+	if (!parent || typeof parent !== "object") return false;
+	if (!Array.isArray(parent)) return true;
+
+	// items can be added after the last item of an array, the other operations change an existing item
+	const index = Number(key);
+	return Number.isInteger(index) && index >= 0 && index < parent.length + (op === "add" ? 1 : 0);
+}
+
+function diffPatches(oldValue, value, path, { oldExists = oldValue !== undefined, exists = value !== undefined } = {}) {
+	// properties holding undefined exist, so they are replaced instead of added or removed
+	if (!oldExists && !exists) return [];
+	if (!oldExists) return [{ op: "add", path: formatPointer(path), value: clone(value) }];
+	if (!exists) return [{ op: "remove", path: formatPointer(path) }];
+	if (isEqual(oldValue, value)) return [];
+
+	const containers = isPlainContainer(oldValue) && isPlainContainer(value) && Array.isArray(oldValue) === Array.isArray(value);
+	if (!containers) return [{ op: "replace", path: formatPointer(path), value: clone(value) }];
+
+	// only the properties that changed are patched
+	const both = { oldExists: true, exists: true };
+	if (Array.isArray(value)) {
+		const patches = [];
+		const length = Math.min(oldValue.length, value.length);
+		for (let i = 0; i < length; i++) patches.push(...diffPatches(oldValue[i], value[i], [...path, i], both));
+		for (let i = length; i < value.length; i++) patches.push(...diffPatches(undefined, value[i], [...path, i], { exists: true }));
+		for (let i = oldValue.length - 1; i >= length; i--) patches.push(...diffPatches(oldValue[i], undefined, [...path, i], { oldExists: true }));
+		return patches;
+	}
+
+	const keys = new Set([...Object.keys(oldValue), ...Object.keys(value)]);
+	return [...keys].flatMap((key) => {
+		return diffPatches(oldValue[key], value[key], [...path, key], { oldExists: hasOwn(oldValue, key), exists: hasOwn(value, key) });
+	});
+}
+
+function clone(value) {
+	// copies objects, arrays, dates, maps and sets, other values are kept as they are
+	if (!value || typeof value !== "object") return value;
+	if (value instanceof Date) return new Date(value.getTime());
+	if (value instanceof Map) return new Map([...value].map(([key, item]) => [key, clone(item)]));
+	if (value instanceof Set) return new Set([...value].map(clone));
+	if (Array.isArray(value)) return value.map(clone);
+	return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+}
+
+function freeze(value) {
+	if (isPlainContainer(value)) Object.values(value).forEach(freeze);
+	return Object.freeze(value);
+}
+
+function updateSnapshot(node, source, path) {
+	if (path.length === 0 || !isPlainContainer(node) || !isPlainContainer(source)) return freeze(clone(source));
+	// items of arrays changing length may have moved, so the array is copied
+	if (Array.isArray(node) && (!Array.isArray(source) || node.length !== source.length)) return freeze(clone(source));
+
+	const [key, ...rest] = path;
+	const copy = Array.isArray(node) ? [...node] : { ...node };
+	if (hasOwn(source, key)) {
+		copy[key] = updateSnapshot(node[key], source[key], rest);
+	} else {
+		delete copy[key];
+	}
+	return Object.freeze(copy);
+}
+
+function findPath(root, target) {
+	const visited = new Set();
+	const stack = Object.keys(root).map((key) => [root[key], [key]]);
+	while (stack.length > 0) {
+		const [node, path] = stack.pop();
+		if (node === target) return path;
+		if (!isPlainContainer(node) || visited.has(node)) continue;
+
+		visited.add(node);
+		Object.keys(node).forEach((key) => stack.push([node[key], [...path, key]]));
+	}
+	return null;
+}
+
+function containersOf(value, containers = new Set()) {
+	if (!isPlainContainer(value) || containers.has(value)) return containers;
+	containers.add(value);
+	Object.values(value).forEach((item) => containersOf(item, containers));
+	return containers;
+}
+
+function mergeDeep(target, partial) {
+	if (!isPlainContainer(target) || Array.isArray(target) || !isPlainContainer(partial) || Array.isArray(partial)) return partial;
+	Object.entries(partial).forEach(([key, value]) => (target[key] = mergeDeep(target[key], value)));
+	return target;
+}
+
+function isPlainContainer(value) {
+	if (Array.isArray(value)) return true;
+	if (!value || typeof value !== "object") return false;
+	const prototype = Object.getPrototypeOf(value);
+	return prototype === Object.prototype || prototype === null;
+}
+
+function hasOwn(obj, key) {
+	return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function valueAt(obj, segments) {
+	if (segments.length === 0) return { exists: true, value: obj };
+
+	const parent = getIn(obj, segments.slice(0, -1));
+	const key = segments[segments.length - 1];
+	const exists = Boolean(parent) && typeof parent === "object" && key in parent;
+	return { exists, value: exists ? parent[key] : undefined };
+}
+
+function getIn(obj, segments) {
+	return segments.reduce((value, segment) => (value && typeof value === "object" ? value[segment] : undefined), obj);
+}
+
+function isEqual(a, b) {
+	if (a === b) return true;
+	if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+	if (Array.isArray(a) !== Array.isArray(b)) return false;
+	if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+	if (a instanceof Date) return a.getTime() === b.getTime();
+	if (a instanceof Map) return a.size === b.size && [...a].every(([key, item]) => b.has(key) && isEqual(item, b.get(key)));
+	if (a instanceof Set) return a.size === b.size && [...a].every((item) => b.has(item));
+
+	const keys = Object.keys(a);
+	if (keys.length !== Object.keys(b).length) return false;
+	return keys.every((key) => hasOwn(b, key) && isEqual(a[key], b[key]));
+}
+
+export { JoistorError, JoistorValidationError, JoistorSchemaMissingError, JoistorHistoryError, JoistorMigrationError };
+export default Joistor;
@@ -0,0 +1,42 @@
+import fs from "fs";
+
+import { codecOf } from "./persist.js";
+
+/**
+ * Function for creating an adapter persisting state to a JSON file, holding the state of every persisted field.
+ * The state is embedded with the encodeJSON and decodeJSON functions of the codec, so a codec without them, e.g. one
+ * encoding to another format, encodes the whole file instead.
+ * @param {string} filePath - path of the JSON file
+ * @param {object} opts - options for configuring the adapter
+ * @param {number} opts.indent - number of spaces used to indent the JSON file (default 0)
+ * @param {object} opts.codec - codec encoding the state of each field, defaults to the codec of the store
+ * @returns {object} persistence adapter
+ * @example
+ * const store = Joistor({ persist: { adapter: fileAdapter("./data.json"), throttle: 1000 } })
+ */
+export function fileAdapter(filePath, { indent = 0, codec } = {}) {
+	function read(fileCodec) {
+		if (!fs.existsSync(filePath)) return {};
+		const text = fs.readFileSync(filePath, { encoding: "utf8" });
+		return fileCodec.decodeJSON ? JSON.parse(text) : fileCodec.decode(text);
+	}
+
+	return {
+		load: (field, context) => {
+			const fileCodec = codecOf(context, codec);
+			const data = read(fileCodec);
+			if (!(field in data)) return undefined;
+			return fileCodec.decodeJSON ? fileCodec.decodeJSON(data[field]) : data[field];
+		},
+		save: (field, value, context) => {
+			const fileCodec = codecOf(context, codec);
+			const data = read(fileCodec);
+			if (!fileCodec.encodeJSON) {
+				fs.writeFileSync(filePath, fileCodec.encode({ ...data, [field]: value }));
+				return;
+			}
+			data[field] = fileCodec.encodeJSON(value);
+			fs.writeFileSync(filePath, JSON.stringify(data, null, indent));
+		},
+	};
+}
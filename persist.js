@@ -0,0 +1,66 @@
+/**
+ * Persistence adapters for Joistor. An adapter is an object with a load(field, context) function returning the persisted
+ * state of a field, or undefined if there is none, and a save(field, value, context) function persisting the state of a
+ * field. The context holds the codec of the store, which the built-in adapters use to keep dates, maps, sets, bigints
+ * and other types the codec supports. save may return a promise, rejections are passed to the onError callbacks of the
+ * store.
+ * @example
+ * const store = Joistor({ persist: memoryAdapter() })
+ * const store = Joistor({ persist: { adapter: storageAdapter(localStorage), throttle: 500, exclude: ["session"] } })
+ */
+
+import { jsonCodec } from "./codec.js";
+
+/**
+ * Function for creating an adapter persisting state in memory
+ * @param {object} data - initial persisted state by field
+ * @returns {object} persistence adapter
+ * @example
+ * const adapter = memoryAdapter({ user: { name: "John Doe" } })
+ */
+export function memoryAdapter(data = {}) {
+	const fields = new Map(Object.entries(data));
+
+	return {
+		load: (field, context) => (fields.has(field) ? copy(fields.get(field), codecOf(context)) : undefined),
+		save: (field, value, context) => {
+			fields.set(field, copy(value, codecOf(context)));
+		},
+	};
+}
+
+/**
+ * Function for creating an adapter persisting state in a localStorage-like storage
+ * @param {object} storage - storage with getItem(key) and setItem(key, value) functions
+ * @param {object} opts - options for configuring the adapter
+ * @param {string} opts.prefix - prefix of the storage key of each field (default joistor:)
+ * @param {object} opts.codec - codec encoding the state of each field, defaults to the codec of the store
+ * @returns {object} persistence adapter
+ * @example
+ * const adapter = storageAdapter(window.localStorage, { prefix: "app:" })
+ */
+export function storageAdapter(storage = globalThis.localStorage, { prefix = "joistor:", codec } = {}) {
+	return {
+		load: (field, context) => {
+			const item = storage.getItem(`${prefix}${field}`);
+			return item === null || item === undefined ? undefined : codecOf(context, codec).decode(item);
+		},
+		save: (field, value, context) => {
+			storage.setItem(`${prefix}${field}`, codecOf(context, codec).encode(value));
+		},
+	};
+}
+
+/**
+ * Function for getting the codec used by an adapter, the codec of the adapter, the codec of the store or jsonCodec()
+ * @param {object} context - context passed by the store to load and save
+ * @param {object} codec - codec of the adapter
+ * @returns {object} codec
+ */
+export function codecOf(context, codec) {
+	return codec || (context && context.codec) || jsonCodec();
+}
+
+function copy(value, codec) {
+	return value === undefined ? undefined : codec.decode(codec.encode(value));
+}
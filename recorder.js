@@ -0,0 +1,107 @@
+/**
+ * Replay of the actions recorded with the record function of a Joistor store. Replaying a log creates a fresh store
+ * and makes the recorded actions on it one at a time, so issues can be reproduced, e.g. in a test.
+ * @example
+ * // app
+ * const recorder = store.record()
+ * fs.writeFileSync("actions.ndjson", recorder.toNDJSON())
+ * // test
+ * const store = await replay(fs.readFileSync("actions.ndjson", "utf8"), { schema: { list: listSchema } })
+ */
+
+import { jsonCodec } from "./codec.js";
+import Joistor, { JoistorSchemaMissingError } from "./joistor.js";
+
+/**
+ * Function for parsing a log exported as NDJSON
+ * @param {string} ndjson - entries encoded one per line
+ * @param {object} codec - codec the entries were encoded with, defaults to jsonCodec()
+ * @returns {object[]} recorded entries
+ * @example
+ * parseLog(recorder.toNDJSON()).filter((entry) => !entry.accepted)
+ */
+export function parseLog(ndjson, codec = jsonCodec()) {
+	return ndjson
+		.split("\n")
+		.filter((line) => line.trim() !== "")
+		.map((line) => codec.decode(line));
+}
+
+/**
+ * Function for replaying a log on a fresh store. Registers are replayed with the recorded state, so the replayed
+ * store does not depend on persisted state. Writes to asynchronously validated fields are replayed after the writes
+ * before them have been validated.
+ * @param {object[]|string} log - recorded entries, or entries exported as NDJSON
+ * @param {object} replayOpts - options for configuring the replay
+ * @param {object} replayOpts.schema - schema by field, used to replay registers
+ * @param {object} replayOpts.opts - options of the replayed store
+ * @param {object} replayOpts.codec - codec the NDJSON was encoded with, defaults to jsonCodec()
+ * @param {function} replayOpts.setup - function called with the store before replaying, e.g. to add rules,
+ * computed fields and middlewares
+ * @param {function} replayOpts.onStep - function called with the store, the entry and its index after each entry
+ * @param {number} replayOpts.until - number of entries to replay, all entries are replayed if not set
+ * @returns {Promise<object>} resolves to the replayed store
+ * @example
+ * const store = await replay(log, {
+ * 	schema: { list: listSchema },
+ * 	onStep: (store, entry, index) => assert.ok(store.isValid("list"), `list corrupted by entry ${index}`),
+ * })
+ */
+export async function replay(log, replayOpts = {}) {
+	const entries = typeof log === "string" ? parseLog(log, replayOpts.codec) : log;
+	const { schema = {}, until = entries.length } = replayOpts;
+
+	const store = Joistor(replayOpts.opts);
+	if (replayOpts.setup) replayOpts.setup(store);
+
+	for (const [index, entry] of entries.slice(0, until).entries()) {
+		replayEntry(store, entry, schema);
+		await store.settled();
+		if (replayOpts.onStep) replayOpts.onStep(store, entry, index);
+	}
+	return store;
+}
+
+function replayEntry(store, entry, schema, draft) {
+	switch (entry.type) {
+		case "write":
+			return replayWrite(store, entry, draft);
+		case "transaction":
+			return store.transaction((state) => entry.entries.forEach((child) => replayEntry(store, child, schema, state)), { description: entry.description });
+		case "patch":
+			return store.patch(entry.patches, { source: entry.source, description: entry.description });
+		case "undo":
+			return store.undo(entry.field);
+		case "redo":
+			return store.redo(entry.field);
+		case "checkpoint":
+			return store.checkpoint(entry.label);
+		case "jumpTo":
+			return store.jumpTo(entry.index);
+		case "register": {
+			const fieldSchemas = entry.fields.map((field) => {
+				if (!schema[field]) throw new JoistorSchemaMissingError(`No schema for ${field}`, { field, path: field, operation: "replay" });
+				return [field, schema[field]];
+			});
+			return store.register(Object.fromEntries(fieldSchemas), entry.state, entry.opts);
+		}
+		case "unregister":
+			return store.unregister(entry.field, entry.opts);
+		default:
+			throw new Error(`Unknown entry type ${entry.type}`);
+	}
+}
+
+function replayWrite(store, { path, value, operation }, draft) {
+	if (!operation && !draft) return store.set(path, value);
+
+	// array mutators and deletes are made again through the state, so callbacks receive the same operation, writes of a
+	// transaction through the draft state of the replayed transaction
+	const segments = path.replace(/\[([^\]]*)\]/g, ".$1").split(".");
+	const parent = segments.slice(0, -1).reduce((node, segment) => node && node[segment], draft || store.state);
+	const prop = segments[segments.length - 1];
+	if (!parent || typeof parent !== "object") return false;
+	if (!operation) return (parent[prop] = value);
+	if (operation.method === "delete") return delete parent[prop];
+	return parent[prop][operation.method](...operation.args);
+}
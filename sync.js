@@ -0,0 +1,198 @@
+/**
+ * Synchronization of Joistor stores across contexts, e.g. the main thread and worker threads. Each store is connected
+ * to one or more message-port-like transports and broadcasts the patches of its local changes, which are validated
+ * by the receiving stores before being applied. The connected stores should register the same fields.
+ * Concurrent writes are resolved with last writer wins: every change is stamped with a Lamport clock and the id of
+ * its store, and a patch is only applied if its stamp is newer than the stamps of the local changes at, above or
+ * below its path. Array items are resolved by index, except inserts and removals, which shift the following items
+ * and are resolved at the path of their array. When such a change loses to a newer local change of the array, the
+ * store broadcasts its array so the stores that applied the change converge to it.
+ * Messages reaching a store through more than one path, e.g. in a ring of stores, are applied and forwarded once.
+ * When a store rejects a patch, the store reports the error with onError and broadcasts the current state of the
+ * patched fields it has registered, so the other stores are brought back to the state it holds.
+ * @example
+ * // main thread
+ * const { port1, port2 } = new MessageChannel()
+ * new Worker("./worker.js", { workerData: { port: port2 }, transferList: [port2] })
+ * const connection = sync(store, port1)
+ * // worker
+ * sync(store, workerData.port)
+ */
+
+const MESSAGE_TYPE = "joistor:patch";
+// number of received messages remembered to drop the copies received through other paths
+const SEEN_LIMIT = 10000;
+
+// number of stores connected without an id, part of their id where crypto.randomUUID is not available
+let connectionCount = 0;
+
+/**
+ * Function for connecting a store to transports
+ * @param {object} store - Joistor store to synchronize
+ * @param {object|object[]} transports - transports with a postMessage(message) function and an
+ * addEventListener("message", listener) or on("message", listener) function, e.g. MessagePort or BroadcastChannel.
+ * Messages received from one transport are forwarded to the other transports.
+ * @param {object} opts - options for configuring the synchronization
+ * @param {string} opts.id - id of the store, used to order concurrent writes with the same clock (default random)
+ * @returns {object} connection with the id of the store and a disconnect() function
+ * @example
+ * const connection = sync(store, new BroadcastChannel("app"))
+ * connection.disconnect()
+ */
+export function sync(store, transports, opts = {}) {
+	transports = [].concat(transports);
+	const id = opts.id || randomId();
+
+	let clock = 0;
+	// stamps of the last change at each path, by JSON pointer
+	const stamps = new Map();
+	// stamps of the received messages, by store id and clock
+	const seen = new Set();
+
+	function stamp(path, changeStamp) {
+		// changes at a path supersede older changes below it
+		stamps.forEach((other, key) => {
+			if (isBelow(key, path) && compareStamps(other, changeStamp) < 0) stamps.delete(key);
+		});
+		stamps.set(path, changeStamp);
+	}
+
+	const disposePatch = store.onPatch((patches, { source }) => {
+		// changes applied from other stores, registers and hydration are not broadcast
+		if (!["user", "undo", "redo"].includes(source)) return;
+
+		broadcast(patches);
+	});
+
+	function broadcast(patches) {
+		clock++;
+		const changeStamp = { clock, id };
+		const snapshot = store.getSnapshot();
+		patches.forEach((patch) => stamp(changePath(snapshot, patch), changeStamp));
+		post({ type: MESSAGE_TYPE, ...changeStamp, patches });
+	}
+
+	function post(message, except) {
+		transports.filter((transport) => transport !== except).forEach((transport) => transport.postMessage(message));
+	}
+
+	function receive(message, transport) {
+		if (!message || message.type !== MESSAGE_TYPE || message.id === id) return;
+		const key = `${message.id}:${message.clock}`;
+		if (seen.has(key)) return;
+		seen.add(key);
+		if (seen.size > SEEN_LIMIT) seen.delete(seen.values().next().value);
+		post(message, transport);
+
+		clock = Math.max(clock, message.clock);
+		const changeStamp = { clock: message.clock, id: message.id };
+		const snapshot = store.getSnapshot();
+		const applied = [];
+		const paths = [];
+		const restored = [];
+		const resynced = new Set();
+		message.patches.forEach((patch) => {
+			const path = changePath(snapshot, patch);
+			const shifting = path !== patch.path;
+			const newer = [...stamps.keys()].filter((key) => compareStamps(stamps.get(key), changeStamp) > 0);
+
+			// newer local changes at or above the path win over the patch, newer changes of the items of an array win
+			// over inserts and removals in it
+			const superseding = newer.filter((key) => isBelow(path, key) || (shifting && isBelow(key, path)));
+			if (superseding.length > 0) {
+				// the stores that applied the patch hold a different array than this store, they are sent its array
+				if (shifting) resynced.add(path);
+				superseding.filter((key) => Array.isArray(valueAt(snapshot, key))).forEach((key) => resynced.add(key));
+				return;
+			}
+
+			// newer local changes below the path are kept
+			newer.filter((key) => key !== path && isBelow(key, path)).forEach((key) => restored.push(...currentPatch(store, key)));
+			applied.push(patch);
+			paths.push(path);
+		});
+
+		const rejected = applied.length > 0 && !store.patch([...applied, ...restored], { source: "remote" });
+		if (rejected) {
+			// the fields of a rejected patch are sent back with a newer stamp, so every store converges to their state,
+			// fields this store has not registered are left to the stores registering them
+			const fields = applied.map((patch) => parsePointer(patch.path)[0]).filter((field) => store.schema[field]);
+			fields.forEach((field) => resynced.add(formatPointer([field])));
+		} else {
+			paths.forEach((path) => stamp(path, changeStamp));
+		}
+
+		const patches = [...resynced].flatMap((pointer) => currentPatch(store, pointer));
+		if (patches.length > 0) broadcast(patches);
+	}
+
+	const removers = transports.map((transport) => listen(transport, (message) => receive(message, transport)));
+
+	return {
+		id,
+		disconnect: () => {
+			disposePatch();
+			removers.forEach((remove) => remove());
+		},
+	};
+}
+
+function randomId() {
+	if (globalThis.crypto && typeof globalThis.crypto.randomUUID === "function") return globalThis.crypto.randomUUID();
+
+	connectionCount++;
+	return `${connectionCount}-${Math.random().toString(36).slice(2)}-${Date.now().toString(36)}`;
+}
+
+function listen(transport, callback) {
+	if (typeof transport.addEventListener === "function") {
+		const listener = (event) => callback(event.data);
+		transport.addEventListener("message", listener);
+		// message ports only deliver messages added with addEventListener once started
+		if (typeof transport.start === "function") transport.start();
+		return () => transport.removeEventListener("message", listener);
+	}
+
+	transport.on("message", callback);
+	return () => transport.off("message", callback);
+}
+
+// inserts and removals of array items change the path of the following items, so they are changes of the array
+function changePath(state, { op, path: pointer }) {
+	const path = parsePointer(pointer);
+	if (op === "replace" || path.length < 2 || !Array.isArray(valueAt(state, formatPointer(path.slice(0, -1))))) return pointer;
+	return formatPointer(path.slice(0, -1));
+}
+
+function valueAt(state, pointer) {
+	return parsePointer(pointer).reduce((value, segment) => (value && typeof value === "object" ? value[segment] : undefined), state);
+}
+
+function currentPatch(store, pointer) {
+	const path = parsePointer(pointer);
+	const parent = valueAt(store.getSnapshot(), formatPointer(path.slice(0, -1)));
+	if (!parent || typeof parent !== "object") return [];
+	if (!(path[path.length - 1] in parent)) return [{ op: "remove", path: pointer }];
+	return [{ op: "replace", path: pointer, value: parent[path[path.length - 1]] }];
+}
+
+function parsePointer(pointer) {
+	return pointer
+		.split("/")
+		.slice(1)
+		.map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function formatPointer(segments) {
+	return segments.map((segment) => `/${String(segment).replace(/~/g, "~0").replace(/\//g, "~1")}`).join("");
+}
+
+function isBelow(pointer, ancestor) {
+	return pointer === ancestor || pointer.startsWith(`${ancestor}/`);
+}
+
+function compareStamps(a, b) {
+	if (a.clock !== b.clock) return a.clock - b.clock;
+	if (a.id === b.id) return 0;
+	return a.id < b.id ? -1 : 1;
+}
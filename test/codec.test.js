@@ -0,0 +1,25 @@
+import { deepStrictEqual } from "assert";
+
+import { jsonCodec } from "../codec.js";
+
+describe("Codec", () => {
+	it("json codec round trips values JSON cannot represent", () => {
+		const codec = jsonCodec();
+		const value = {
+			date: new Date(0),
+			map: new Map([[1, { date: new Date(1) }]]),
+			set: new Set(["a", 1n]),
+			list: [undefined, null, 2n],
+			missing: undefined,
+			tagged: { $type: "Date", value: "not a date" },
+		};
+		deepStrictEqual(codec.decode(codec.encode(value)), value);
+	});
+
+	it("json codec encodes additional types", () => {
+		const codec = jsonCodec({ types: [{ name: "URL", is: (value) => value instanceof URL, encode: String, decode: (value) => new URL(value) }] });
+		const encoded = codec.encode({ url: new URL("https://example.com/") });
+		deepStrictEqual(JSON.parse(encoded), { url: { $type: "URL", value: "https://example.com/" } });
+		deepStrictEqual(codec.decode(encoded).url.href, "https://example.com/");
+	});
+});
@@ -1,7 +1,7 @@
 import { deepStrictEqual } from "assert";
 
 import Joi from "joi";
-import Joistor from "../joistor.js";
+import Joistor, { JoistorHistoryError, JoistorSchemaMissingError, JoistorValidationError } from "../joistor.js";
 
 const DEFAULT_SCHEMA_SYSTEM = {
 	system: Joi.object({
@@ -148,7 +148,7 @@ describe("Joistor", () => {
 		store.register(DEFAULT_SCHEMA_SYSTEM, { system: SYSTEM_STATE_1 });
 		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: WORKSPACE_STATE_1 });
 		store.register(DEFAULT_SCHEMA_LIST, { list: LIST_STATE_1 });
-		deepStrictEqual(store.state, { system: { ...SYSTEM_STATE_1 }, workspace: { ...WORKSPACE_STATE_1 }, list: { ...LIST_STATE_1 } });
+		deepStrictEqual(store.state, { system: { ...SYSTEM_STATE_1 }, workspace: { ...WORKSPACE_STATE_1 }, list: [...LIST_STATE_1] });
 	});
 
 	it("state is not updated when invalid", () => {
@@ -240,4 +240,1189 @@ describe("Joistor", () => {
 		deepStrictEqual(store.history.redo.length, 0);
 		deepStrictEqual(store.state.system, SYSTEM_STATE_3);
 	});
+
+	it("transaction commits multiple writes as a single change", () => {
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { ...WORKSPACE_STATE_1 } });
+
+		let onChangeCount = 0;
+		store.onChange("workspace", () => onChangeCount++);
+
+		// write multiple properties and check that they are committed together
+		const committed = store.transaction((state) => {
+			state.workspace.id = WORKSPACE_STATE_2.id;
+			state.workspace.name = WORKSPACE_STATE_2.name;
+			state.workspace.sequence = [...WORKSPACE_STATE_2.sequence];
+			deepStrictEqual(state.workspace, WORKSPACE_STATE_2);
+		});
+		deepStrictEqual(committed, true);
+		deepStrictEqual(store.state.workspace, WORKSPACE_STATE_2);
+		deepStrictEqual(store.history.undo.length, 1);
+		deepStrictEqual(onChangeCount, 1);
+
+		// undo the transaction and check that all writes are reverted
+		store.undo();
+		deepStrictEqual(store.state.workspace, WORKSPACE_STATE_1);
+	});
+
+	it("transaction is rolled back when a field is invalid", () => {
+		store = Joistor({ errorLog: false, historyBuffer: 20 });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { ...WORKSPACE_STATE_1 } });
+
+		let errors = 0;
+		store.onError(() => errors++);
+
+		// write a valid workspace and an invalid system and check that neither is applied
+		const committed = store.transaction((state) => {
+			state.workspace = { ...WORKSPACE_STATE_2 };
+			state.system.id = INVALID_SYSTEM_STATE_1.id;
+		});
+		deepStrictEqual(committed, false);
+		deepStrictEqual(errors, 1);
+		deepStrictEqual(store.state, { system: SYSTEM_STATE_1, workspace: WORKSPACE_STATE_1 });
+		deepStrictEqual(store.history.undo.length, 0);
+	});
+
+	it("async transaction commits after the callback resolves", async () => {
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+
+		const pending = store.transactionAsync(async (state) => {
+			state.system.id = SYSTEM_STATE_2.id;
+			await Promise.resolve();
+			state.system.name = SYSTEM_STATE_2.name;
+		});
+
+		deepStrictEqual(await pending, true);
+		deepStrictEqual(store.state.system, SYSTEM_STATE_2);
+		deepStrictEqual(store.history.undo.length, 1);
+	});
+
+	it("transactions only include the writes made through their draft", async () => {
+		store = Joistor({ errorLog: false });
+		store.register({ ...DEFAULT_SCHEMA_SYSTEM, ...DEFAULT_SCHEMA_WORKSPACE }, { system: { ...SYSTEM_STATE_1 }, workspace: { ...WORKSPACE_STATE_1 } });
+
+		// a write made while a failing transaction is pending is kept
+		const failing = store.transactionAsync(async (state) => {
+			state.system.name = "tx";
+			await Promise.resolve();
+			state.system.id = INVALID_SYSTEM_STATE_1.id;
+		});
+		store.state.system.name = "outside";
+		deepStrictEqual(await failing, false);
+		deepStrictEqual(store.state.system, { ...SYSTEM_STATE_1, name: "outside" });
+
+		// concurrent transactions are committed on their own and keep each other's changes
+		let resolveFirst;
+		const first = store.transactionAsync(async (state) => {
+			state.workspace.name = "first";
+			await new Promise((resolve) => (resolveFirst = resolve));
+		});
+		const second = store.transactionAsync(async (state) => {
+			state.workspace.id = 2;
+			await Promise.resolve();
+		});
+		deepStrictEqual(await second, true);
+		deepStrictEqual(store.state.workspace, { ...WORKSPACE_STATE_1, id: 2 });
+		resolveFirst();
+		deepStrictEqual(await first, true);
+		deepStrictEqual(store.state.workspace, { ...WORKSPACE_STATE_1, id: 2, name: "first" });
+		deepStrictEqual(store.history.undo.length, 3);
+
+		// proxies read before a transaction see the committed state
+		const workspace = store.state.workspace;
+		store.transaction((state) => {
+			state.workspace.name = "tx";
+			deepStrictEqual(workspace.name, "first");
+		});
+		deepStrictEqual(workspace.name, "tx");
+		store.transaction((state) => (state.workspace = { ...state.workspace, sequence: [1] }));
+		deepStrictEqual(workspace.sequence, [1]);
+	});
+
+	it("onChange events are called for deep paths with the changed path and values", () => {
+		store.register(DEFAULT_SCHEMA_LIST, { list: LIST_STATE_1.map((item) => ({ ...item })) });
+
+		// listen to a single item and check that only changes to that item are received
+		const itemChanges = [];
+		store.onChange("list[2].position", (state, path, value, oldValue) => itemChanges.push([path, value, oldValue]));
+		store.state.list[0].position = 10;
+		store.state.list[2].position = 20;
+		deepStrictEqual(itemChanges, [["list[2].position", 20, 17]]);
+
+		// writing the same value does not trigger a change
+		store.state.list[2].position = 20;
+		deepStrictEqual(itemChanges.length, 1);
+	});
+
+	it("onChange events support wildcard paths", () => {
+		store.register(DEFAULT_SCHEMA_LIST, { list: LIST_STATE_1.map((item) => ({ ...item })) });
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { ...WORKSPACE_STATE_2 } });
+
+		const positionChanges = [];
+		store.onChange("list.*.position", (state, path, value, oldValue) => positionChanges.push([path, value, oldValue]));
+		store.state.list[1].position = 5;
+		store.state.list[1].max = 300;
+		deepStrictEqual(positionChanges, [["list[1].position", 5, 160]]);
+
+		// replacing a parent only calls back for the nested values that changed
+		const sequenceChanges = [];
+		store.onChange("workspace.sequence[*]", (state, path, value, oldValue) => sequenceChanges.push([path, value, oldValue]));
+		store.state.workspace = { ...WORKSPACE_STATE_3 };
+		deepStrictEqual(sequenceChanges, [
+			["workspace.sequence[2]", 2, undefined],
+			["workspace.sequence[3]", 3, undefined],
+			["workspace.sequence[4]", 4, undefined],
+			["workspace.sequence[5]", 5, undefined],
+		]);
+	});
+
+	it("callbacks are removed with the returned disposer, once or an abort signal", () => {
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+
+		let disposedCount = 0;
+		let onceCount = 0;
+		let abortedCount = 0;
+		const controller = new AbortController();
+		const dispose = store.onChange("system", () => disposedCount++);
+		store.onChange("system", () => onceCount++, { once: true });
+		store.onChange("system", () => abortedCount++, { signal: controller.signal });
+
+		store.state.system.id = 1;
+		deepStrictEqual([disposedCount, onceCount, abortedCount], [1, 1, 1]);
+
+		// remove the remaining callbacks and check that they are no longer called
+		dispose();
+		controller.abort();
+		store.state.system.id = 2;
+		deepStrictEqual([disposedCount, onceCount, abortedCount], [1, 1, 1]);
+	});
+
+	it("callbacks are called in order of priority", () => {
+		const calls = [];
+		store.onRegister(() => calls.push("default"));
+		store.onRegister(() => calls.push("low"), { priority: -1 });
+		store.onRegister(() => calls.push("high"), { priority: 1 });
+
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+		deepStrictEqual(calls, ["high", "default", "low"]);
+	});
+
+	it("unregister removes the listeners of a field", () => {
+		store = Joistor({ errorLog: false });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+
+		let onChangeCount = 0;
+		let onErrorCount = 0;
+		store.onChange("system.name", () => onChangeCount++);
+		store.onError("system", () => onErrorCount++);
+		store.unregister("system", { removeListeners: true });
+
+		// register the field again and check that the old listeners are not called
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+		store.state.system.name = SYSTEM_STATE_2.name;
+		store.state.system.id = "invalid";
+		deepStrictEqual(onChangeCount, 0);
+		deepStrictEqual(onErrorCount, 0);
+	});
+
+	it("computed fields are recomputed only when a path they read changes", () => {
+		store.register(DEFAULT_SCHEMA_LIST, { list: LIST_STATE_1.map((item) => ({ ...item })) });
+
+		let computeCount = 0;
+		store.computed("total", ["list"], (list) => {
+			computeCount++;
+			return list.reduce((total, item) => total + item.max, 0);
+		});
+		deepStrictEqual(store.state.total, 1050);
+		deepStrictEqual(store.state.total, 1050);
+		deepStrictEqual(computeCount, 1);
+
+		// change a path that is not read and check that the value is not recomputed
+		store.state.list[0].position = 0;
+		deepStrictEqual(store.state.total, 1050);
+		deepStrictEqual(computeCount, 1);
+
+		// change a path that is read and check that the value is recomputed
+		store.state.list[0].max = 150;
+		deepStrictEqual(store.state.total, 1100);
+		deepStrictEqual(computeCount, 2);
+	});
+
+	it("computed fields can be listened to and are read only", () => {
+		store = Joistor({ errorLog: false, historyBuffer: 20 });
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { ...WORKSPACE_STATE_2 } });
+		store.computed("sequenceLength", ["workspace"], (workspace) => workspace.sequence.length);
+		store.computed("isLong", ["sequenceLength"], (sequenceLength) => sequenceLength > 4);
+
+		const changes = [];
+		store.onChange("isLong", (state, path, value, oldValue) => changes.push([path, value, oldValue]));
+		deepStrictEqual(store.state.isLong, false);
+
+		store.state.workspace.sequence = [...WORKSPACE_STATE_3.sequence];
+		deepStrictEqual(changes, [["isLong", true, false]]);
+
+		// writing to a computed field is an error and does not change the value
+		let errors = 0;
+		store.onError(() => errors++);
+		store.state.isLong = false;
+		deepStrictEqual(errors, 1);
+		deepStrictEqual(store.state.isLong, true);
+	});
+
+	it("computed fields can be listened to before they are read", () => {
+		store.computed("sequenceLength", ["workspace"], (workspace) => workspace.sequence.length);
+		const changes = [];
+		store.onChange("sequenceLength", (state, path, value, oldValue) => changes.push([value, oldValue]));
+
+		// the computed field is evaluated once its field is registered
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { ...WORKSPACE_STATE_2 } });
+		store.state.workspace.sequence.push(2);
+		deepStrictEqual(changes, [
+			[2, undefined],
+			[3, 2],
+		]);
+
+		// computed fields of other computed fields are evaluated when listened to
+		store.computed("isLong", ["sequenceLength"], (sequenceLength) => sequenceLength > 4);
+		store.onChange("isLong", (state, path, value, oldValue) => changes.push([value, oldValue]));
+		store.state.workspace.sequence = [...WORKSPACE_STATE_3.sequence];
+		deepStrictEqual(changes.slice(2), [
+			[true, false],
+			[6, 3],
+		]);
+	});
+
+	it("history entries hold the patches of the changed paths", () => {
+		store.register(DEFAULT_SCHEMA_LIST, { list: LIST_STATE_1.map((item) => ({ ...item })) });
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { ...WORKSPACE_STATE_2 } });
+
+		// a nested write only patches the written path
+		store.state.list[2].position = 20;
+		deepStrictEqual(store.history.undo[0].patches, [{ op: "replace", path: "/list/2/position", value: 20 }]);
+		deepStrictEqual(store.history.undo[0].inversePatches, [{ op: "replace", path: "/list/2/position", value: 17 }]);
+
+		// replacing a field only patches the properties that changed
+		store.state.workspace = { ...WORKSPACE_STATE_2, sequence: [0, 1, 2] };
+		deepStrictEqual(store.history.undo[1].patches, [{ op: "add", path: "/workspace/sequence/2", value: 2 }]);
+		deepStrictEqual(store.history.undo[1].inversePatches, [{ op: "remove", path: "/workspace/sequence/2" }]);
+
+		// undo and redo apply the inverse and forward patches
+		store.undo();
+		deepStrictEqual(store.state.workspace, WORKSPACE_STATE_2);
+		store.undo();
+		deepStrictEqual(store.state.list[2].position, 17);
+		store.redo();
+		store.redo();
+		deepStrictEqual(store.state.list[2].position, 20);
+		deepStrictEqual(store.state.workspace.sequence, [0, 1, 2]);
+	});
+
+
+	it("history size limits the size of the stored patches", () => {
+		store = Joistor({ errorLog: false, historySize: 500 });
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { ...WORKSPACE_STATE_1 } });
+
+		store.state.workspace.name = "a";
+		store.state.workspace.name = "b";
+		deepStrictEqual(store.history.undo.length, 2);
+
+		// a larger change drops the oldest entries until the patches fit
+		store.state.workspace.sequence = [1, 2, 3];
+		deepStrictEqual(store.history.undo.length, 2);
+		deepStrictEqual(store.history.undo[0].patches, [{ op: "replace", path: "/workspace/name", value: "b" }]);
+		deepStrictEqual(store.history.undo[0].size + store.history.undo[1].size <= 500, true);
+
+		// changes larger than the history size are not kept
+		store.state.workspace.sequence = Array.from({ length: 100 }, (_, i) => i);
+		deepStrictEqual(store.history.undo.length, 0);
+	});
+	it("jumps to checkpoints and timeline positions", () => {
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+
+		let historyChanges = 0;
+		store.onHistoryChange(() => historyChanges++);
+
+		store.checkpoint("start");
+		store.state.system.id = SYSTEM_STATE_2.id;
+		store.state.system.name = SYSTEM_STATE_2.name;
+		store.checkpoint("named");
+		store.state.system.name = SYSTEM_STATE_3.name;
+		deepStrictEqual(historyChanges, 5);
+
+		// jump back to a checkpoint and check that the entries after it are undone
+		store.jumpTo("start");
+		deepStrictEqual(store.state.system, SYSTEM_STATE_1);
+		deepStrictEqual(store.canUndo, false);
+		deepStrictEqual(store.canRedo, true);
+		deepStrictEqual(historyChanges, 6);
+
+		store.jumpTo("named");
+		deepStrictEqual(store.state.system, SYSTEM_STATE_2);
+
+		store.jumpTo(3);
+		deepStrictEqual(store.state.system, SYSTEM_STATE_3);
+	});
+
+	it("timeline describes each history entry", () => {
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { ...WORKSPACE_STATE_1 } });
+
+		store.state.workspace.name = "test";
+		store.checkpoint("renamed");
+		store.transaction((state) => (state.workspace.sequence = [0, 1]), { description: "add sequence" });
+		store.undo();
+
+		const timeline = store.timeline().map(({ index, description, labels, current, undone }) => ({ index, description, labels, current, undone }));
+		deepStrictEqual(timeline, [
+			{ index: 1, description: "set workspace.name", labels: ["renamed"], current: true, undone: false },
+			{ index: 2, description: "add sequence", labels: [], current: false, undone: true },
+		]);
+	});
+
+	it("middlewares can transform and veto writes", () => {
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+
+		// trim strings and veto writes to the id
+		store.use((context, next) => {
+			if (typeof context.nextValue === "string") context.nextValue = context.nextValue.trim();
+			if (context.path === "system.id") return;
+			next();
+		});
+
+		store.state.system.name = "  test  ";
+		store.state.system.id = 1;
+		deepStrictEqual(store.state.system, { id: 0, name: "test" });
+		deepStrictEqual(store.history.undo.length, 1);
+	});
+
+	it("middlewares vetoing an undo or redo patch cancel the whole undo or redo", () => {
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+		store.transaction((state) => {
+			state.system.id = SYSTEM_STATE_2.id;
+			state.system.name = SYSTEM_STATE_2.name;
+		});
+
+		const changes = [];
+		store.onChange("system", (state, path, value) => changes.push([path, value]));
+		const veto = (context, next) => {
+			if (context.path === "system.name" && context.source !== "user") return;
+			next();
+		};
+		const remove = store.use(veto);
+
+		// the id patch applied before the vetoed name patch is reverted
+		deepStrictEqual(store.undo(), false);
+		deepStrictEqual(changes, [
+			["system.id", SYSTEM_STATE_1.id],
+			["system.id", SYSTEM_STATE_2.id],
+		]);
+		deepStrictEqual(store.undo("system"), false);
+		store.jumpTo(0);
+		deepStrictEqual(store.state.system, SYSTEM_STATE_2);
+		deepStrictEqual([store.history.undo.length, store.history.redo.length], [1, 0]);
+
+		remove();
+		deepStrictEqual(store.undo(), true);
+		deepStrictEqual(store.state.system, SYSTEM_STATE_1);
+
+		store.use(veto);
+		deepStrictEqual(store.redo(), false);
+		deepStrictEqual(store.state.system, SYSTEM_STATE_1);
+		deepStrictEqual([store.history.undo.length, store.history.redo.length], [0, 1]);
+	});
+
+	it("remote patches drop the history of the paths they change", () => {
+		store = Joistor({ errorLog: false });
+		store.register({ list: Joi.array().items(Joi.object({ p: Joi.number() })) }, { list: [{ p: 0 }, { p: 1 }, { p: 2 }] });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+
+		store.state.system.id = SYSTEM_STATE_2.id;
+		store.state.list[1].p = 5;
+		store.state.list[2].p = 6;
+		deepStrictEqual(store.patch([{ op: "remove", path: "/list/1" }]), true);
+		deepStrictEqual(store.history.undo.length, 1);
+
+		deepStrictEqual(store.undo(), true);
+		deepStrictEqual(store.state.list, [{ p: 0 }, { p: 6 }]);
+		deepStrictEqual(store.state.system, SYSTEM_STATE_1);
+	});
+
+	it("undo and redo report history entries that no longer apply", () => {
+		store = Joistor({ errorLog: false });
+		store.register({ box: Joi.object({ inner: Joi.object({ p: Joi.number() }).allow(null) }) }, { box: { inner: null } });
+		store.state.box.inner = { p: 1 };
+		store.state.box.inner.p = 2;
+		store.jumpTo(0);
+
+		const errors = [];
+		store.onError((error) => errors.push(error));
+		store.use((context, next) => {
+			if (context.source === "redo" && context.path === "box.inner") context.nextValue = null;
+			next();
+		});
+
+		// the redone entry is kept when the next entry cannot be applied
+		deepStrictEqual(store.redo(), true);
+		deepStrictEqual(store.redo(), false);
+		deepStrictEqual(store.state.box, { inner: null });
+		deepStrictEqual([store.history.undo.length, store.history.redo.length], [1, 1]);
+		deepStrictEqual(errors[0] instanceof JoistorHistoryError, true);
+		deepStrictEqual([errors[0].path, errors[0].operation], ["box.inner.p", "redo"]);
+	});
+
+	it("middlewares run after commit with the source of the write", () => {
+		store = Joistor({ errorLog: false });
+		const writes = [];
+		store.use((context, next) => {
+			const committed = next();
+			writes.push([context.source, context.path, structuredClone(context.nextValue), committed]);
+		});
+
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+		store.state.system.name = SYSTEM_STATE_2.name;
+		store.state.system.id = INVALID_SYSTEM_STATE_1.id;
+		store.undo();
+		store.redo();
+		deepStrictEqual(writes, [
+			["register", "system", SYSTEM_STATE_1, true],
+			["user", "system.name", SYSTEM_STATE_2.name, true],
+			["user", "system.id", INVALID_SYSTEM_STATE_1.id, false],
+			["undo", "system.name", SYSTEM_STATE_1.name, true],
+			["redo", "system.name", SYSTEM_STATE_2.name, true],
+		]);
+	});
+
+	it("async fields are committed after validation settles", async () => {
+		store = Joistor({ errorLog: false });
+		const takenNames = ["taken"];
+		const schema = {
+			user: Joi.object({
+				name: Joi.string().external(async (name) => {
+					await new Promise((resolve) => setTimeout(resolve, 1));
+					if (takenNames.includes(name)) throw new Error(`${name} is taken`);
+				}),
+			}),
+		};
+		store.register(schema, { user: { name: "John Doe" } }, { async: true });
+
+		let errors = 0;
+		store.onError(() => errors++);
+
+		// the write is staged until it has been validated
+		store.state.user.name = "Jane Doe";
+		deepStrictEqual(store.isValidating("user"), true);
+		deepStrictEqual(store.state.user.name, "John Doe");
+		await store.settled();
+		deepStrictEqual(store.isValidating("user"), false);
+		deepStrictEqual(store.state.user.name, "Jane Doe");
+		deepStrictEqual(store.history.undo.length, 1);
+
+		// an invalid write is rolled back
+		store.state.user.name = "taken";
+		await store.settled("user");
+		deepStrictEqual(store.state.user.name, "Jane Doe");
+		deepStrictEqual(errors, 1);
+	});
+
+	it("async writes are validated in order and stale writes are cancelled", async () => {
+		const schema = { workspace: DEFAULT_SCHEMA_WORKSPACE.workspace.external(async () => {}) };
+		store.register(schema, { workspace: { ...WORKSPACE_STATE_1 } }, { async: true });
+
+		const changes = [];
+		store.onChange("workspace", (state, path, value) => changes.push([path, value]));
+
+		// the first name write is validating, the second is cancelled by the third
+		store.state.workspace.name = "a";
+		await Promise.resolve();
+		store.state.workspace.name = "b";
+		store.state.workspace.id = 1;
+		store.state.workspace.name = "c";
+		await store.settled();
+
+		deepStrictEqual(changes, [
+			["workspace.name", "a"],
+			["workspace.id", 1],
+			["workspace.name", "c"],
+		]);
+	});
+
+	it("undo and redo cancel the staged writes of the fields they change", async () => {
+		const schema = { user: Joi.object({ name: Joi.string().external(() => new Promise((resolve) => setTimeout(resolve, 1))) }) };
+		store.register(schema, { user: { name: "John Doe" } }, { async: true });
+
+		store.state.user.name = "dave";
+		await store.settled();
+
+		// the write validating when undo is called and the write queued behind it are both cancelled
+		store.state.user.name = "eve";
+		await Promise.resolve();
+		store.state.user.name = "frank";
+		deepStrictEqual(store.undo(), true);
+		await store.settled();
+		deepStrictEqual(store.state.user.name, "John Doe");
+		deepStrictEqual([store.history.undo.length, store.history.redo.length], [0, 1]);
+
+		store.transaction((state) => (state.user.name = "eve"));
+		deepStrictEqual(store.redo(), true);
+		await store.settled();
+		deepStrictEqual(store.state.user.name, "dave");
+		deepStrictEqual([store.history.undo.length, store.history.redo.length], [1, 0]);
+	});
+
+	it("transactions, patches and loads of async fields are validated with the external rules", async () => {
+		store = Joistor({ errorLog: false });
+		const schema = {
+			user: Joi.object({
+				name: Joi.string().external(async (name) => {
+					await new Promise((resolve) => setTimeout(resolve, 1));
+					if (name === "taken") throw new Error(`${name} is taken`);
+				}),
+			}),
+		};
+		store.register(schema, { user: { name: "John Doe" } }, { async: true });
+
+		const errors = [];
+		store.onError((error) => errors.push(error.operation));
+
+		deepStrictEqual(store.transaction((state) => (state.user.name = "taken")), true);
+		deepStrictEqual(store.patch([{ op: "replace", path: "/user/name", value: "taken" }]), true);
+		deepStrictEqual(store.load({ state: { user: { name: "taken" } } }), true);
+		deepStrictEqual(store.isValidating("user"), true);
+		await store.settled();
+		deepStrictEqual(store.state.user.name, "John Doe");
+		deepStrictEqual(errors, ["transaction", "patch", "load"]);
+
+		// accepted transactions are committed in order with the staged writes
+		store.state.user.name = "Jane Doe";
+		store.transaction((state) => (state.user.name = "Jim Doe"));
+		deepStrictEqual(store.state.user.name, "John Doe");
+		await store.settled();
+		deepStrictEqual(store.state.user.name, "Jim Doe");
+		deepStrictEqual(store.history.undo.length, 2);
+	});
+
+	it("array mutators are applied as a single change", () => {
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { ...WORKSPACE_STATE_2, sequence: [...WORKSPACE_STATE_2.sequence] } });
+
+		const changes = [];
+		store.onChange("workspace.sequence", (state, path, value, oldValue, operation) => changes.push([path, value, oldValue, operation]));
+
+		deepStrictEqual(store.state.workspace.sequence.push(2, 3), 4);
+		deepStrictEqual(store.state.workspace.sequence, [0, 1, 2, 3]);
+		deepStrictEqual(store.history.undo.length, 1);
+		deepStrictEqual(store.history.undo[0].description, "push workspace.sequence");
+		deepStrictEqual(changes, [["workspace.sequence", [0, 1, 2, 3], [0, 1], { method: "push", args: [2, 3] }]]);
+
+		deepStrictEqual(store.state.workspace.sequence.splice(1, 2), [1, 2]);
+		store.state.workspace.sequence.reverse();
+		deepStrictEqual(store.state.workspace.sequence, [3, 0]);
+		deepStrictEqual(store.history.undo.length, 3);
+
+		store.undo();
+		store.undo();
+		deepStrictEqual(store.state.workspace.sequence, [0, 1, 2, 3]);
+	});
+
+	it("array mutators are validated on the final result", () => {
+		store = Joistor({ errorLog: false });
+		store.register({ list: Joi.array().items(Joi.number()).max(2) }, { list: [1, 2] });
+
+		let errors = 0;
+		store.onError(() => errors++);
+
+		// an invalid push is rejected as a whole
+		store.state.list.push(3);
+		deepStrictEqual(store.state.list, [1, 2]);
+		deepStrictEqual(errors, 1);
+
+		// splice would be invalid after its first step but the result is valid
+		store.state.list.splice(0, 1, 3);
+		deepStrictEqual(store.state.list, [3, 2]);
+		deepStrictEqual(errors, 1);
+	});
+
+	it("registers multiple fields at once", () => {
+		const registered = [];
+		store.onRegister((field) => registered.push(field));
+
+		const schema = { ...DEFAULT_SCHEMA_SYSTEM, ...DEFAULT_SCHEMA_WORKSPACE };
+		deepStrictEqual(store.register(schema, { system: { ...SYSTEM_STATE_1 }, workspace: { ...WORKSPACE_STATE_1 } }), true);
+		deepStrictEqual(store.state, { system: SYSTEM_STATE_1, workspace: WORKSPACE_STATE_1 });
+		deepStrictEqual(registered, ["system", "workspace"]);
+	});
+
+	it("does not register any field when one of them is invalid", () => {
+		store = Joistor({ errorLog: false });
+
+		const schema = { ...DEFAULT_SCHEMA_SYSTEM, ...DEFAULT_SCHEMA_WORKSPACE };
+		deepStrictEqual(store.register(schema, { system: { ...INVALID_SYSTEM_STATE_1 }, workspace: { ...WORKSPACE_STATE_1 } }), false);
+		deepStrictEqual(store.schema, {});
+		deepStrictEqual(store.state, {});
+	});
+
+	it("rules validate writes across fields", () => {
+		store = Joistor({ errorLog: false });
+		store.register({ ...DEFAULT_SCHEMA_SYSTEM, ...DEFAULT_SCHEMA_WORKSPACE }, { system: { ...SYSTEM_STATE_2 }, workspace: { ...WORKSPACE_STATE_2 } });
+		store.rule(["system", "workspace"], (system, workspace) => workspace.id === system.id || "workspace must reference the system");
+
+		let errors = 0;
+		store.onError(() => errors++);
+
+		// a write to either field breaking the rule is rejected
+		store.state.workspace.id = 2;
+		store.state.system.id = 2;
+		deepStrictEqual([store.state.system.id, store.state.workspace.id, errors], [1, 1, 2]);
+
+		// a transaction writing both fields keeps the rule
+		store.transaction((state) => {
+			state.system.id = 2;
+			state.workspace.id = 2;
+		});
+		deepStrictEqual([store.state.system.id, store.state.workspace.id, errors], [2, 2, 2]);
+	});
+
+	it("rules can use joi references across fields", () => {
+		store = Joistor({ errorLog: false });
+		store.register({ ...DEFAULT_SCHEMA_SYSTEM, ...DEFAULT_SCHEMA_WORKSPACE }, { system: { ...SYSTEM_STATE_2 }, workspace: { ...WORKSPACE_STATE_2 } });
+		store.rule(["system", "workspace"], Joi.object({ workspace: Joi.object({ id: Joi.valid(Joi.ref("/system.id")) }) }));
+
+		store.state.workspace.id = 2;
+		deepStrictEqual(store.state.workspace.id, 1);
+	});
+
+	it("coerce policy stores the value normalized by the schema", () => {
+		store = Joistor({ policy: "coerce" });
+		const schema = { user: Joi.object({ id: Joi.number(), role: Joi.string().default("user") }) };
+		store.register(schema, { user: { id: 1 } });
+		deepStrictEqual(store.state.user, { id: 1, role: "user" });
+
+		store.state.user.id = "5";
+		deepStrictEqual(store.state.user.id, 5);
+
+		store.state.user = { id: "6", unknown: true };
+		deepStrictEqual(store.state.user, { id: 6, role: "user" });
+	});
+
+	it("warn policy accepts invalid writes and reports them", () => {
+		store = Joistor({ errorLog: false, policy: "warn" });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+
+		let errors = 0;
+		store.onError(() => errors++);
+
+		store.state.system.id = INVALID_SYSTEM_STATE_1.id;
+		deepStrictEqual(store.state.system, INVALID_SYSTEM_STATE_1);
+		deepStrictEqual(errors, 1);
+		deepStrictEqual(store.history.undo.length, 1);
+	});
+
+	it("draft policy tracks invalid fields until they are corrected", () => {
+		store = Joistor({ errorLog: false });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } }, { policy: "draft" });
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { ...WORKSPACE_STATE_1 } });
+
+		let errors = 0;
+		store.onError(() => errors++);
+
+		// the draft field accepts invalid state, the other field keeps rejecting it
+		store.state.system.id = INVALID_SYSTEM_STATE_1.id;
+		store.state.workspace.id = "invalid";
+		deepStrictEqual(store.state.system.id, INVALID_SYSTEM_STATE_1.id);
+		deepStrictEqual(store.state.workspace.id, WORKSPACE_STATE_1.id);
+		deepStrictEqual(Object.keys(store.drafts), ["system"]);
+		deepStrictEqual(store.drafts.system instanceof JoistorValidationError, true);
+		deepStrictEqual([store.drafts.system.field, store.drafts.system.path], ["system", "system.id"]);
+		deepStrictEqual(errors, 1);
+
+		store.state.system.id = 1;
+		deepStrictEqual(store.drafts, {});
+	});
+
+	it("errors hold the validation errors of the state by path", () => {
+		store = Joistor({ errorLog: false, policy: "draft" });
+		store.register(DEFAULT_SCHEMA_LIST, { list: LIST_STATE_1.map((item) => ({ ...item })) });
+
+		const validityChanges = [];
+		store.onValidityChange((errors) => validityChanges.push(Object.keys(errors)));
+
+		store.state.list[2].position = "invalid";
+		store.state.list[3].max = "invalid";
+		deepStrictEqual(Object.keys(store.errors), ["list[2].position", "list[3].max"]);
+		deepStrictEqual(store.errors["list[2].position"][0].type, "number.base");
+		deepStrictEqual(store.isValid(), false);
+		deepStrictEqual(store.isValid("list[2]"), false);
+		deepStrictEqual(store.isValid("list[1]"), true);
+
+		// correcting the state clears the errors
+		store.state.list[2].position = 17;
+		store.state.list[3].max = 250;
+		deepStrictEqual(store.errors, {});
+		deepStrictEqual(validityChanges, [["list[2].position"], ["list[2].position", "list[3].max"], ["list[3].max"], []]);
+	});
+
+	it("register validates the default state", () => {
+		store = Joistor({ errorLog: false });
+
+		let errors = 0;
+		store.onError(() => errors++);
+		deepStrictEqual(store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...INVALID_SYSTEM_STATE_1 } }), false);
+		deepStrictEqual(errors, 1);
+
+		// with the draft policy the invalid default state is registered and reported in errors
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...INVALID_SYSTEM_STATE_1 } }, { policy: "draft" });
+		deepStrictEqual(Object.keys(store.errors), ["system.id"]);
+		deepStrictEqual(store.validateAll(), false);
+	});
+
+	it("errors describe the field, path, values and operation causing them", () => {
+		store = Joistor({ errorLog: false });
+		store.register(DEFAULT_SCHEMA_LIST, { list: LIST_STATE_1.map((item) => ({ ...item })) });
+
+		const errors = [];
+		store.onError((error) => errors.push(error));
+		store.state.list[1].position = "invalid";
+		store.state.list.push({ id: "invalid" });
+		store.state.missing = 1;
+
+		deepStrictEqual(errors[0] instanceof JoistorValidationError, true);
+		deepStrictEqual(
+			{ field: errors[0].field, path: errors[0].path, value: errors[0].value, previousValue: errors[0].previousValue, operation: errors[0].operation },
+			{ field: "list", path: "list[1].position", value: "invalid", previousValue: LIST_STATE_1[1].position, operation: "set" }
+		);
+		deepStrictEqual(errors[0].details[0].type, "number.base");
+		deepStrictEqual(errors[1].operation, "push");
+		deepStrictEqual(errors[2] instanceof JoistorSchemaMissingError, true);
+		deepStrictEqual(errors[2].field, "missing");
+
+		// history errors are reported like the other errors when throwErrors is not set
+		deepStrictEqual(store.jumpTo("unknown"), false);
+		deepStrictEqual(store.jumpTo(5), false);
+		deepStrictEqual(errors[3] instanceof JoistorHistoryError, true);
+		deepStrictEqual(errors[4] instanceof JoistorHistoryError, true);
+		deepStrictEqual(errors.length, 5);
+	});
+
+	it("field error handlers are called before the global handlers", () => {
+		store = Joistor({ errorLog: false });
+		store.register({ ...DEFAULT_SCHEMA_SYSTEM, ...DEFAULT_SCHEMA_WORKSPACE }, { system: { ...SYSTEM_STATE_1 }, workspace: { ...WORKSPACE_STATE_1 } });
+
+		const calls = [];
+		store.onError((error) => calls.push(`global:${error.field}`));
+		const dispose = store.onError("system", (error) => calls.push(`system:${error.path}`));
+		store.state.system.id = "invalid";
+		store.state.workspace.id = "invalid";
+		dispose();
+		store.state.system.id = "invalid";
+		deepStrictEqual(calls, ["system:system.id", "global:system", "global:workspace", "global:system"]);
+	});
+
+	it("throwErrors throws the errors of synchronous operations", () => {
+		store = Joistor({ errorLog: false, throwErrors: true });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+
+		let thrown;
+		try {
+			store.state.system.id = "invalid";
+		} catch (error) {
+			thrown = error;
+		}
+		deepStrictEqual(thrown instanceof JoistorValidationError, true);
+		deepStrictEqual(thrown.path, "system.id");
+		deepStrictEqual(store.state.system.id, SYSTEM_STATE_1.id);
+		deepStrictEqual(store.history.undo.length, 0);
+	});
+
+	it("load migrates and validates a snapshot as a single change", () => {
+		store = Joistor({ errorLog: false });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } }, { version: 1, migrations: { 1: (system) => ({ ...system, id: Number(system.id) }) } });
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { ...WORKSPACE_STATE_1 } });
+
+		deepStrictEqual(store.load({ state: { system: { ...SYSTEM_STATE_2, id: "1" }, workspace: { ...WORKSPACE_STATE_2 } } }), true);
+		deepStrictEqual(store.state.system, SYSTEM_STATE_2);
+		deepStrictEqual(store.state.workspace, WORKSPACE_STATE_2);
+		deepStrictEqual(store.history.undo.length, 1);
+
+		// snapshots already at the registered version are not migrated, invalid snapshots are not loaded
+		deepStrictEqual(store.load({ state: { system: { ...SYSTEM_STATE_3, id: "invalid" }, workspace: { ...WORKSPACE_STATE_3 } }, versions: { system: 1 } }), false);
+		deepStrictEqual(store.state.workspace, WORKSPACE_STATE_2);
+
+		store.undo();
+		deepStrictEqual(store.state.system, SYSTEM_STATE_1);
+		deepStrictEqual(store.state.workspace, WORKSPACE_STATE_1);
+	});
+
+	it("history keeps dates, maps, sets, bigints and undefined", () => {
+		const schema = {
+			event: Joi.object({
+				date: Joi.date(),
+				tags: Joi.object().instance(Set),
+				counts: Joi.object().instance(Map),
+				total: Joi.any(),
+				note: Joi.any(),
+			}),
+		};
+		const event = { date: new Date(0), tags: new Set(["a"]), counts: new Map([["a", 1]]), total: 1n, note: "note" };
+		store.register(schema, { event: { ...event } });
+
+		store.state.event.date = new Date(1000);
+		store.state.event = { ...store.state.event, tags: new Set(["a", "b"]), counts: new Map(), total: 2n, note: undefined };
+		store.undo();
+		store.undo();
+		deepStrictEqual(store.state.event, event);
+		deepStrictEqual(store.state.event.date instanceof Date, true);
+
+		store.redo();
+		store.redo();
+		deepStrictEqual(store.state.event, { date: new Date(1000), tags: new Set(["a", "b"]), counts: new Map(), total: 2n, note: undefined });
+		deepStrictEqual("note" in store.state.event, true);
+	});
+
+	it("getSnapshot returns a frozen state sharing unchanged paths", () => {
+		store.register({ ...DEFAULT_SCHEMA_SYSTEM, ...DEFAULT_SCHEMA_WORKSPACE }, { system: { ...SYSTEM_STATE_1 }, workspace: { ...WORKSPACE_STATE_2 } });
+
+		const first = store.getSnapshot();
+		deepStrictEqual(first, { system: SYSTEM_STATE_1, workspace: WORKSPACE_STATE_2 });
+		deepStrictEqual(Object.isFrozen(first.workspace.sequence), true);
+		deepStrictEqual(store.getSnapshot() === first, true);
+
+		store.state.workspace.name = "changed";
+		const second = store.getSnapshot();
+		deepStrictEqual(second.workspace.name, "changed");
+		deepStrictEqual(first.workspace.name, WORKSPACE_STATE_2.name);
+		deepStrictEqual(second.system === first.system, true);
+		deepStrictEqual(second.workspace.sequence === first.workspace.sequence, true);
+
+		store.state.workspace.sequence.push(2);
+		store.unregister("system");
+		deepStrictEqual(store.getSnapshot(), { workspace: { ...WORKSPACE_STATE_2, name: "changed", sequence: [0, 1, 2] } });
+	});
+
+	it("serialize and restore round trip the state", () => {
+		const schema = { event: Joi.object({ date: Joi.date(), tags: Joi.object().instance(Set), total: Joi.any() }) };
+		store.register(schema, { event: { date: new Date(0), tags: new Set(["a"]), total: 1n } }, { version: 2 });
+		const serialized = store.serialize();
+
+		store.state.event = { date: new Date(1000), tags: new Set(), total: 2n };
+		deepStrictEqual(store.restore(serialized), true);
+		deepStrictEqual(store.state.event, { date: new Date(0), tags: new Set(["a"]), total: 1n });
+		deepStrictEqual(JSON.parse(serialized).versions, { event: 2 });
+	});
+
+	it("scope creates a sub-store for a field", () => {
+		store = Joistor({ errorLog: false });
+		store.register({ ...DEFAULT_SCHEMA_SYSTEM, ...DEFAULT_SCHEMA_WORKSPACE }, { system: { ...SYSTEM_STATE_1 }, workspace: { ...WORKSPACE_STATE_1 } });
+		const workspace = store.scope("workspace");
+
+		const changes = [];
+		const errors = [];
+		workspace.onChange((state, path, value) => changes.push([path, value]));
+		workspace.onChange("sequence[*]", (state, path, value) => changes.push([path, value, state.sequence.length]));
+		workspace.onError((error) => errors.push(error.path));
+		store.onError((error) => errors.push(`global:${error.path}`));
+
+		workspace.state.name = "test";
+		workspace.state.sequence.push(0);
+		workspace.state.id = "invalid";
+		store.state.system.id = "invalid";
+		deepStrictEqual(store.state.workspace, { ...WORKSPACE_STATE_1, name: "test", sequence: [0] });
+		deepStrictEqual(changes, [["name", "test"], ["sequence", [0]], ["sequence[0]", 0, 1]]);
+		deepStrictEqual(errors, ["workspace.id", "global:workspace.id", "global:system.id"]);
+
+		workspace.reset();
+		deepStrictEqual(workspace.state, WORKSPACE_STATE_1);
+		deepStrictEqual(store.history.undo.length, 3);
+	});
+
+	it("scope undo and redo only revert changes of the field", () => {
+		store.register({ ...DEFAULT_SCHEMA_SYSTEM, ...DEFAULT_SCHEMA_WORKSPACE }, { system: { ...SYSTEM_STATE_1 }, workspace: { ...WORKSPACE_STATE_1 } });
+		const workspace = store.scope("workspace");
+
+		store.state.workspace.name = "test";
+		store.transaction((state) => {
+			state.system.name = "test";
+			state.workspace.id = 1;
+		});
+		store.state.system.id = 1;
+
+		workspace.undo();
+		deepStrictEqual(store.state.workspace, { ...WORKSPACE_STATE_1, name: "test" });
+		deepStrictEqual(store.state.system, SYSTEM_STATE_2);
+		workspace.undo();
+		deepStrictEqual(store.state.workspace, WORKSPACE_STATE_1);
+		deepStrictEqual(workspace.canUndo, false);
+		deepStrictEqual(workspace.undo(), false);
+
+		// the rest of the transaction stays in the history of the store
+		store.undo();
+		store.undo();
+		deepStrictEqual(store.state.system, SYSTEM_STATE_1);
+
+		workspace.redo();
+		workspace.redo();
+		deepStrictEqual(store.state.workspace, { ...WORKSPACE_STATE_1, id: 1, name: "test" });
+		deepStrictEqual(store.state.system, SYSTEM_STATE_1);
+	});
+
+	it("fields can be untracked or have their own history buffer", () => {
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } }, { history: false });
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { ...WORKSPACE_STATE_1 } }, { historyBuffer: 2 });
+		store.register(DEFAULT_SCHEMA_LIST, { list: [] });
+
+		store.state.system.id = 1;
+		store.state.list.push({ ...LIST_STATE_1[0] });
+		store.state.workspace.id = 1;
+		store.state.workspace.id = 2;
+		store.state.workspace.id = 3;
+		deepStrictEqual(store.history.undo.length, 3);
+
+		// the oldest workspace change was dropped from history
+		while (store.undo());
+		deepStrictEqual(store.state.workspace.id, 1);
+		deepStrictEqual(store.state.system.id, 1);
+		deepStrictEqual(store.state.list, []);
+	});
+
+	it("undo and redo of a field do not revert changes of other fields", () => {
+		store.register({ ...DEFAULT_SCHEMA_SYSTEM, ...DEFAULT_SCHEMA_WORKSPACE }, { system: { ...SYSTEM_STATE_1 }, workspace: { ...WORKSPACE_STATE_1 } });
+
+		store.state.system.id = 1;
+		store.state.workspace.id = 1;
+		deepStrictEqual(store.undo("system"), true);
+		deepStrictEqual(store.state.system.id, 0);
+		deepStrictEqual(store.state.workspace.id, 1);
+		deepStrictEqual(store.undo("system"), false);
+
+		deepStrictEqual(store.redo("system"), true);
+		deepStrictEqual(store.state.system.id, 1);
+		deepStrictEqual(store.history.undo.length, 2);
+	});
+
+	it("history survives unregistering fields", () => {
+		store.register({ ...DEFAULT_SCHEMA_SYSTEM, ...DEFAULT_SCHEMA_WORKSPACE }, { system: { ...SYSTEM_STATE_1 }, workspace: { ...WORKSPACE_STATE_1 } });
+
+		store.state.workspace.id = 1;
+		store.checkpoint("workspace");
+		store.transaction((state) => {
+			state.system.id = 1;
+			state.workspace.name = "test";
+		});
+		store.state.system.name = "test";
+		store.checkpoint("system");
+
+		store.unregister("system");
+		deepStrictEqual(store.history.undo.length, 2);
+		deepStrictEqual(store.timeline().find((entry) => entry.current).labels, ["system"]);
+
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_2 } });
+		store.jumpTo("workspace");
+		deepStrictEqual(store.state.workspace, { ...WORKSPACE_STATE_1, id: 1 });
+		deepStrictEqual(store.state.system, SYSTEM_STATE_2);
+		store.undo();
+		deepStrictEqual(store.state.workspace, WORKSPACE_STATE_1);
+	});
+
+	it("registering a field again drops its history", () => {
+		store = Joistor({ errorLog: false });
+		const schema = { list: Joi.array().items(Joi.object({ p: Joi.number() })) };
+		store.register(schema, { list: [{ p: 0 }, { p: 1 }] });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+
+		store.state.system.id = 1;
+		store.state.list[1].p = 5;
+		store.register(schema, { list: [] });
+		deepStrictEqual(store.history.undo.length, 1);
+
+		deepStrictEqual(store.undo(), true);
+		deepStrictEqual(store.state.list, []);
+		deepStrictEqual(store.state.system, SYSTEM_STATE_1);
+		deepStrictEqual(store.undo(), false);
+	});
+
+	it("deleting properties is validated, recorded and notified", () => {
+		store = Joistor({ errorLog: false });
+		const schema = { user: Joi.object({ name: Joi.string().required(), email: Joi.string(), tags: Joi.array() }) };
+		store.register(schema, { user: { name: "John Doe", email: "john@doe.com", tags: ["a", "b"] } });
+
+		const changes = [];
+		const errors = [];
+		store.onChange("user", (state, path, value, oldValue, operation) => changes.push([path, value, oldValue, operation && operation.method]));
+		store.onError((error) => errors.push([error.path, error.operation]));
+
+		delete store.state.user.email;
+		delete store.state.user.name;
+		delete store.state.user;
+		deepStrictEqual(store.state.user, { name: "John Doe", tags: ["a", "b"] });
+		deepStrictEqual(changes, [["user.email", undefined, "john@doe.com", "delete"]]);
+		deepStrictEqual(errors, [["user.name", "delete"], ["user", "delete"]]);
+
+		// deleted array items are set to undefined
+		delete store.state.user.tags[0];
+		deepStrictEqual(store.state.user.tags, [undefined, "b"]);
+
+		store.undo();
+		store.undo();
+		deepStrictEqual(store.state.user, { name: "John Doe", email: "john@doe.com", tags: ["a", "b"] });
+		store.redo();
+		deepStrictEqual("email" in store.state.user, false);
+	});
+
+	it("defineProperty writes values and rejects accessors", () => {
+		store = Joistor({ errorLog: false });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+
+		let errors = 0;
+		store.onError(() => errors++);
+		Object.defineProperty(store.state.system, "name", { value: "test" });
+		Object.defineProperty(store.state.system, "id", { value: "invalid" });
+		Object.defineProperty(store.state.system, "id", { get: () => 1 });
+		deepStrictEqual(store.state.system, { ...SYSTEM_STATE_1, name: "test" });
+		deepStrictEqual(errors, 2);
+		deepStrictEqual(store.history.undo.length, 1);
+	});
+
+	it("in and enumeration match the registered and computed fields", () => {
+		store.register({ ...DEFAULT_SCHEMA_SYSTEM, ...DEFAULT_SCHEMA_WORKSPACE }, { system: { ...SYSTEM_STATE_1 }, workspace: { ...WORKSPACE_STATE_2 } });
+		store.computed("label", ["system"], (system) => `${system.id}: ${system.name}`);
+
+		deepStrictEqual(["system" in store.state, "label" in store.state, "id" in store.state, "id" in store.state.system], [true, true, false, true]);
+		deepStrictEqual(Object.keys(store.state), ["system", "workspace", "label"]);
+		deepStrictEqual({ ...store.state }.label, "0: ");
+		deepStrictEqual(store.state.id, undefined);
+
+		store.unregister("workspace");
+		deepStrictEqual(Object.keys(store.state), ["system", "label"]);
+	});
+
+	it("reads return the same proxy after the object is written", () => {
+		store.register(DEFAULT_SCHEMA_LIST, { list: LIST_STATE_1.map((item) => ({ ...item })) });
+
+		const list = store.state.list;
+		const item = store.state.list[1];
+		deepStrictEqual(store.state.list === list, true);
+		deepStrictEqual(store.state.list[1] === item, true);
+
+		// writing a property keeps the object, array mutators are applied to the array in place
+		store.state.list[1].position = 4;
+		deepStrictEqual(store.state.list[1] === item, true);
+		store.state.list.push({ ...LIST_STATE_1[0] });
+		deepStrictEqual(store.state.list === list, true);
+		deepStrictEqual(store.state.list[1] === item, true);
+		store.state.list = [...store.state.list];
+		deepStrictEqual(store.state.list === list, true);
+	});
+
+	it("writes through held proxies are made at the current path of their object", () => {
+		store = Joistor({ errorLog: false });
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { ...WORKSPACE_STATE_1, sequence: [] } });
+		store.register(DEFAULT_SCHEMA_LIST, { list: LIST_STATE_1.map((item) => ({ ...item })) });
+
+		const sequence = store.state.workspace.sequence;
+		sequence.push(1);
+		sequence.push(2);
+		deepStrictEqual(store.state.workspace.sequence, [1, 2]);
+
+		// items keep their object when items before them are removed
+		const item = store.state.list[2];
+		store.state.list.splice(0, 1);
+		item.position = 99;
+		deepStrictEqual(store.state.list[1], { ...LIST_STATE_1[2], position: 99 });
+		deepStrictEqual(store.state.list[1] === item, true);
+
+		// filtered items are stored as their objects, not as proxies
+		const last = store.state.list[2];
+		const removed = store.state.list[0];
+		store.state.list = store.state.list.filter((listItem) => listItem.max !== 200);
+		last.position = 1;
+		deepStrictEqual(store.state.list, [
+			{ ...LIST_STATE_1[2], position: 99 },
+			{ ...LIST_STATE_1[3], position: 1 },
+		]);
+		deepStrictEqual(structuredClone(store.getSnapshot().list), store.state.list);
+
+		// writes to objects removed from the state are rejected
+		const errors = [];
+		store.onError((error) => errors.push(error.message));
+		removed.position = 0;
+		deepStrictEqual(errors, ["list[0] is no longer in the state"]);
+		deepStrictEqual(store.history.undo.length, 6);
+	});
+
+	it("get, set, update, merge and reset state by path", () => {
+		store = Joistor({ errorLog: false });
+		const schema = { user: Joi.object({ name: Joi.string(), address: Joi.object({ city: Joi.string(), zip: Joi.string() }), tags: Joi.array() }) };
+		store.register(schema, { user: { name: "John Doe", address: { city: "Toronto", zip: "M5V" }, tags: [] } });
+		store.register(DEFAULT_SCHEMA_LIST, { list: LIST_STATE_1.map((item) => ({ ...item })) });
+
+		const changes = [];
+		let errors = 0;
+		store.onChange("*", (state, path) => changes.push(path));
+		store.onError(() => errors++);
+
+		deepStrictEqual(store.get("list[2].position"), LIST_STATE_1[2].position);
+		deepStrictEqual(store.get("list[9].position"), undefined);
+		deepStrictEqual(store.set("list[2].position", 18), true);
+		deepStrictEqual(store.set("list[2].position", "invalid"), false);
+		deepStrictEqual(store.set("list[9].position", 1), false);
+		deepStrictEqual(store.update("list[2].position", (position) => position + 1), true);
+		deepStrictEqual(store.get("list[2].position"), 19);
+
+		deepStrictEqual(store.merge("user", { address: { city: "Montreal" }, tags: ["a"] }), true);
+		deepStrictEqual(store.get("user"), { name: "John Doe", address: { city: "Montreal", zip: "M5V" }, tags: ["a"] });
+		deepStrictEqual(errors, 2);
+
+		store.reset("user.address");
+		store.reset("list[2]");
+		deepStrictEqual(store.get("user.address"), { city: "Toronto", zip: "M5V" });
+		deepStrictEqual(store.get("list[2]"), LIST_STATE_1[2]);
+		deepStrictEqual(changes, ["list[2].position", "list[2].position", "user", "user.address", "list[2]"]);
+
+		store.merge("user", { name: "Jane Doe" });
+		deepStrictEqual(store.reset("user"), true);
+		deepStrictEqual(store.get("user.name"), "John Doe");
+		store.undo();
+		deepStrictEqual(store.get("user.name"), "Jane Doe");
+	});
+
+	it("patch applies JSON patches and onPatch reports the patches of changes", () => {
+		store = Joistor({ errorLog: false });
+		store.register(DEFAULT_SCHEMA_LIST, { list: LIST_STATE_1.map((item) => ({ ...item })) });
+		store.register(DEFAULT_SCHEMA_WORKSPACE, { workspace: { id: 1, name: "", sequence: [] } });
+
+		const reported = [];
+		store.onPatch((patches, { source, operation }) => reported.push({ patches, source, operation }));
+
+		store.state.workspace.name = "Workspace";
+		store.state.workspace.sequence.push(1);
+		deepStrictEqual(reported, [
+			{ patches: [{ op: "replace", path: "/workspace/name", value: "Workspace" }], source: "user", operation: undefined },
+			{ patches: [{ op: "add", path: "/workspace/sequence/0", value: 1 }], source: "user", operation: { method: "push", args: [1] } },
+		]);
+
+		const patches = [
+			{ op: "add", path: "/workspace/sequence/-", value: 3 },
+			{ op: "replace", path: "/list/0/position", value: 8 },
+		];
+		deepStrictEqual(store.patch(patches), true);
+		deepStrictEqual(store.state.workspace.sequence, [1, 3]);
+		deepStrictEqual(store.state.list[0].position, 8);
+		deepStrictEqual(reported.slice(2).map(({ source }) => source), ["remote", "remote"]);
+		// the remote change to the sequence drops the history of the push, undo would remove the pushed item
+		deepStrictEqual(store.history.undo.map(({ description }) => description), ["set workspace.name"]);
+
+		deepStrictEqual(store.patch([{ op: "remove", path: "/workspace/sequence/0" }], { source: "user" }), true);
+		deepStrictEqual(store.history.undo.length, 2);
+
+		// invalid patches leave every field unchanged
+		deepStrictEqual(store.patch([{ op: "replace", path: "/workspace/id", value: 2 }, { op: "replace", path: "/list/0/position", value: "invalid" }]), false);
+		deepStrictEqual(store.patch([{ op: "remove", path: "/list/9/position" }]), false);
+		deepStrictEqual([store.state.workspace.id, store.state.list[0].position], [1, 8]);
+
+		// fields are removed with unregister, patches can only change their state
+		deepStrictEqual(store.patch([{ op: "remove", path: "/workspace" }]), false);
+		deepStrictEqual(store.patch([{ op: "replace", path: "/workspace", value: undefined }]), false);
+		deepStrictEqual(store.state.workspace.sequence, [3]);
+
+		store.undo();
+		deepStrictEqual([store.state.workspace.sequence, store.state.list[0].position], [[1, 3], 8]);
+		deepStrictEqual(reported[reported.length - 1].source, "undo");
+	});
 });
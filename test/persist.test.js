@@ -0,0 +1,168 @@
+import { deepStrictEqual } from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import Joi from "joi";
+import Joistor, { JoistorMigrationError } from "../joistor.js";
+import { memoryAdapter, storageAdapter } from "../persist.js";
+import { fileAdapter } from "../persist-file.js";
+
+const DEFAULT_SCHEMA_SYSTEM = {
+	system: Joi.object({
+		id: Joi.number(),
+		name: Joi.string().allow(""),
+	}),
+};
+
+const DEFAULT_SCHEMA_USER = {
+	user: Joi.object({
+		name: Joi.string(),
+	}),
+};
+
+const SYSTEM_STATE_1 = { id: 0, name: "" };
+const SYSTEM_STATE_2 = { id: 1, name: "test" };
+
+const INVALID_SYSTEM_STATE_1 = { id: "invalid", name: "" };
+
+describe("Persistence", () => {
+	it("hydrates a field from the adapter on register", () => {
+		const store = Joistor({ persist: memoryAdapter({ system: SYSTEM_STATE_2 }) });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+		deepStrictEqual(store.state.system, SYSTEM_STATE_2);
+		deepStrictEqual(store.history.undo.length, 0);
+	});
+
+	it("falls back to the default state when the persisted state is invalid", () => {
+		const store = Joistor({ errorLog: false, persist: memoryAdapter({ system: INVALID_SYSTEM_STATE_1 }) });
+
+		const errors = [];
+		store.onError((error) => errors.push(error));
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+		deepStrictEqual(store.state.system, SYSTEM_STATE_1);
+		deepStrictEqual(errors.length, 1);
+	});
+
+	it("saves changes and respects include and exclude", () => {
+		const adapter = memoryAdapter();
+		const store = Joistor({ persist: { adapter, exclude: ["user"] } });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+		store.register(DEFAULT_SCHEMA_USER, { user: { name: "John Doe" } });
+
+		store.state.system.name = SYSTEM_STATE_2.name;
+		store.state.user.name = "Jane Doe";
+		deepStrictEqual(adapter.load("system"), { ...SYSTEM_STATE_1, name: SYSTEM_STATE_2.name });
+		deepStrictEqual(adapter.load("user"), undefined);
+	});
+
+	it("throttles saves until the throttle has passed or flush is called", () => {
+		const saves = [];
+		const adapter = { load: () => undefined, save: (field, value) => saves.push([field, value]) };
+		const store = Joistor({ persist: { adapter, throttle: 1000 } });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+
+		store.state.system.id = 1;
+		store.state.system.name = "test";
+		deepStrictEqual(saves.length, 0);
+
+		store.flush();
+		deepStrictEqual(saves, [["system", SYSTEM_STATE_2]]);
+	});
+
+	it("migrates persisted state of older schema versions", () => {
+		const adapter = memoryAdapter({ user: { name: "John Doe" } });
+		const store = Joistor({ persist: adapter });
+		const migrations = {
+			1: ({ name }) => ({ firstName: name.split(" ")[0], lastName: name.split(" ")[1] }),
+			3: (user) => ({ ...user, email: "" }),
+		};
+		const schema = { user: Joi.object({ firstName: Joi.string(), lastName: Joi.string(), email: Joi.string().allow("") }) };
+		store.register(schema, { user: { firstName: "", lastName: "", email: "" } }, { version: 3, migrations });
+		deepStrictEqual(store.state.user, { firstName: "John", lastName: "Doe", email: "" });
+
+		// versioned state is persisted with its version
+		store.state.user.email = "john@doe.com";
+		deepStrictEqual(adapter.load("user"), { version: 3, state: { firstName: "John", lastName: "Doe", email: "john@doe.com" } });
+	});
+
+	it("reports state that fails to migrate and uses the default state", () => {
+		const adapter = memoryAdapter({ system: { version: 1, state: SYSTEM_STATE_2 } });
+		const store = Joistor({ errorLog: false, persist: adapter });
+
+		const errors = [];
+		store.onError((error) => errors.push(error));
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } }, {
+			version: 2,
+			migrations: {
+				2: () => {
+					throw new Error("unsupported");
+				},
+			},
+		});
+		deepStrictEqual(store.state.system, SYSTEM_STATE_1);
+		deepStrictEqual(errors[0] instanceof JoistorMigrationError, true);
+		deepStrictEqual([errors[0].fromVersion, errors[0].toVersion, errors[0].cause.message], [1, 2, "unsupported"]);
+	});
+
+	it("storage adapter saves fields under prefixed keys", () => {
+		const items = {};
+		const storage = { getItem: (key) => (key in items ? items[key] : null), setItem: (key, value) => (items[key] = value) };
+		const store = Joistor({ persist: storageAdapter(storage, { prefix: "test:" }) });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+
+		store.state.system = { ...SYSTEM_STATE_2 };
+		deepStrictEqual(JSON.parse(items["test:system"]), SYSTEM_STATE_2);
+	});
+
+	it("storage adapter keeps the default prefix when other options are passed", () => {
+		const items = {};
+		const storage = { getItem: (key) => (key in items ? items[key] : null), setItem: (key, value) => (items[key] = value) };
+		const store = Joistor({ persist: storageAdapter(storage, {}) });
+		store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+
+		store.state.system = { ...SYSTEM_STATE_2 };
+		deepStrictEqual(Object.keys(items), ["joistor:system"]);
+	});
+
+	it("file adapter saves and loads fields from a JSON file", () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), "joistor-"));
+		const filePath = path.join(dir, "data.json");
+
+		try {
+			const store = Joistor({ persist: fileAdapter(filePath) });
+			store.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+			store.state.system = { ...SYSTEM_STATE_2 };
+
+			// a new store hydrates from the file written by the first one
+			const hydratedStore = Joistor({ persist: fileAdapter(filePath) });
+			hydratedStore.register(DEFAULT_SCHEMA_SYSTEM, { system: { ...SYSTEM_STATE_1 } });
+			deepStrictEqual(hydratedStore.state.system, SYSTEM_STATE_2);
+		} finally {
+			fs.rmSync(dir, { recursive: true, force: true });
+		}
+	});
+
+	it("adapters keep dates, maps, sets and bigints with the codec of the store", () => {
+		const schema = { events: Joi.object({ at: Joi.date(), tags: Joi.any(), seen: Joi.any(), count: Joi.any() }) };
+		const events = { at: new Date(0), tags: new Map([["a", 1]]), seen: new Set([1]), count: 2n };
+		const items = {};
+		const storage = { getItem: (key) => (key in items ? items[key] : null), setItem: (key, value) => (items[key] = value) };
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), "joistor-"));
+
+		try {
+			[memoryAdapter(), storageAdapter(storage), fileAdapter(path.join(dir, "data.json"))].forEach((adapter) => {
+				const store = Joistor({ persist: adapter });
+				store.register(schema, { events: { at: new Date(1) } });
+				store.state.events = events;
+
+				const hydratedStore = Joistor({ persist: adapter });
+				hydratedStore.register(schema, { events: { at: new Date(1) } });
+				deepStrictEqual(hydratedStore.state.events, events);
+				deepStrictEqual(hydratedStore.state.events.at instanceof Date, true);
+			});
+		} finally {
+			fs.rmSync(dir, { recursive: true, force: true });
+		}
+	});
+});
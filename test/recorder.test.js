@@ -0,0 +1,167 @@
+import { deepStrictEqual } from "assert";
+
+import Joi from "joi";
+import Joistor from "../joistor.js";
+import { parseLog, replay } from "../recorder.js";
+
+const SCHEMA = {
+	list: Joi.array().items(
+		Joi.object({
+			min: Joi.number().required(),
+			max: Joi.number().required(),
+			position: Joi.number().required(),
+			label: Joi.string(),
+		})
+	),
+	settings: Joi.object({ theme: Joi.string(), since: Joi.date() }),
+};
+
+const LIST_STATE_1 = [
+	{ min: 0, max: 100, position: 42, label: "first" },
+	{ min: 0, max: 200, position: 160 },
+];
+
+function recordSession() {
+	const store = Joistor({ errorLog: false });
+	const recorder = store.record();
+
+	store.register(SCHEMA, { list: LIST_STATE_1.map((item) => ({ ...item })), settings: { theme: "dark", since: new Date(0) } });
+	store.state.list[0].position = 50;
+	store.state.list[0].position = "invalid";
+	store.state.list.push({ min: 0, max: 10, position: 5 });
+	delete store.state.list[0].label;
+	store.transaction((state) => {
+		state.list[1].position = 170;
+		state.settings.theme = "light";
+	});
+	store.checkpoint("edited");
+	store.undo();
+	store.redo();
+	store.patch([{ op: "replace", path: "/settings/theme", value: "dim" }]);
+	store.jumpTo("edited");
+	store.unregister("settings");
+
+	return { store, recorder };
+}
+
+describe("Recorder", () => {
+	it("records writes, history and registers with their outcome", () => {
+		const { recorder } = recordSession();
+		const entries = recorder.entries;
+
+		deepStrictEqual(
+			entries.map(({ type, accepted }) => [type, accepted]),
+			[
+				["register", true],
+				["write", true],
+				["write", false],
+				["write", true],
+				["write", true],
+				["transaction", true],
+				["checkpoint", true],
+				["undo", true],
+				["redo", true],
+				["patch", true],
+				["jumpTo", true],
+				["unregister", true],
+			]
+		);
+
+		const [, write, invalidWrite, push, remove, transaction] = entries;
+		deepStrictEqual([write.path, write.value, write.oldValue], ["list[0].position", 50, 42]);
+		deepStrictEqual(invalidWrite.errors.map(({ name, details }) => [name, details[0].path]), [["JoistorValidationError", [0, "position"]]]);
+		deepStrictEqual(push.operation, { method: "push", args: [{ min: 0, max: 10, position: 5 }] });
+		deepStrictEqual([remove.operation.method, remove.oldValue], ["delete", "first"]);
+		deepStrictEqual(
+			transaction.entries.map(({ path, value }) => [path, value]),
+			[
+				["list[1].position", 170],
+				["settings.theme", "light"],
+			]
+		);
+		deepStrictEqual(typeof entries[0].timestamp, "number");
+	});
+
+	it("replays a log to the same state", async () => {
+		const { store, recorder } = recordSession();
+
+		const replayed = await replay(recorder.entries, { schema: SCHEMA, opts: { errorLog: false } });
+		deepStrictEqual(replayed.getSnapshot(), store.getSnapshot());
+		deepStrictEqual(
+			replayed.timeline().map(({ description }) => description),
+			store.timeline().map(({ description }) => description)
+		);
+	});
+
+	it("exports NDJSON which replays step by step", async () => {
+		const { store, recorder } = recordSession();
+		const ndjson = recorder.toNDJSON();
+		deepStrictEqual(ndjson.trim().split("\n").length, recorder.entries.length);
+		deepStrictEqual(parseLog(ndjson)[0].state.settings.since, new Date(0));
+
+		const positions = [];
+		const replayed = await replay(ndjson, {
+			schema: SCHEMA,
+			opts: { errorLog: false },
+			until: 4,
+			onStep: (store, entry, index) => positions.push([index, store.get("list[0].position")]),
+		});
+		deepStrictEqual(positions, [
+			[0, 42],
+			[1, 50],
+			[2, 50],
+			[3, 50],
+		]);
+		deepStrictEqual(replayed.state.list.length, 3);
+		deepStrictEqual(store.state.list.length, 3);
+	});
+
+	it("records asynchronously validated writes once they settle", async () => {
+		const store = Joistor({ errorLog: false });
+		const recorder = store.record();
+		const name = Joi.string().external(async (value) => {
+			if (value === "taken") throw new Error("name is taken");
+		});
+		store.register({ user: Joi.object({ name }) }, { user: { name: "John Doe" } }, { async: true });
+
+		store.state.user.name = "taken";
+		await store.settled();
+		store.state.user.name = "Jane Doe";
+		deepStrictEqual(recorder.entries[2].accepted, true);
+		await store.settled();
+		deepStrictEqual(
+			recorder.entries.slice(1).map(({ value, accepted, errors }) => [value, accepted, errors.length]),
+			[
+				["taken", false, 1],
+				["Jane Doe", true, 0],
+			]
+		);
+
+		const replayed = await replay(recorder.toNDJSON(), { schema: { user: Joi.object({ name }) }, opts: { errorLog: false } });
+		deepStrictEqual(replayed.state.user, { name: "Jane Doe" });
+		deepStrictEqual(recorder.entries[0].opts, { async: true });
+	});
+
+	it("stops recording and keeps at most limit entries", () => {
+		const store = Joistor({ errorLog: false });
+		const recorder = store.record({ limit: 2 });
+		store.register(SCHEMA, { list: [], settings: {} });
+		store.onChange("list", () => (store.state.settings.theme = "changed"));
+
+		store.state.list = [{ min: 0, max: 1, position: 0 }];
+		store.state.list = [];
+		deepStrictEqual(
+			recorder.entries.map(({ type, value }) => [type, value]),
+			[
+				["write", [{ min: 0, max: 1, position: 0 }]],
+				["write", []],
+			]
+		);
+
+		recorder.stop();
+		store.undo();
+		deepStrictEqual(recorder.entries.length, 2);
+		recorder.clear();
+		deepStrictEqual(recorder.entries, []);
+	});
+});
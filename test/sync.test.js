@@ -0,0 +1,183 @@
+import { deepStrictEqual } from "assert";
+
+import Joi from "joi";
+import Joistor from "../joistor.js";
+import { sync } from "../sync.js";
+
+const DEFAULT_SCHEMA_USER = {
+	user: Joi.object({
+		name: Joi.string(),
+		email: Joi.string().allow(""),
+		age: Joi.number(),
+	}),
+};
+
+const USER_STATE_1 = { name: "John Doe", email: "", age: 30 };
+
+function createStore() {
+	const store = Joistor({ errorLog: false });
+	store.register(DEFAULT_SCHEMA_USER, { user: { ...USER_STATE_1 } });
+	return store;
+}
+
+function delivered() {
+	return new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+describe("Sync", () => {
+	let channels;
+	let connections;
+
+	beforeEach(() => {
+		channels = [];
+		connections = [];
+	});
+
+	afterEach(() => {
+		connections.forEach((connection) => connection.disconnect());
+		channels.forEach(({ port1, port2 }) => {
+			port1.close();
+			port2.close();
+		});
+	});
+
+	function connect(a, b, ids = ["a", "b"]) {
+		const channel = new MessageChannel();
+		channels.push(channel);
+		connections.push(sync(a, channel.port1, { id: ids[0] }), sync(b, channel.port2, { id: ids[1] }));
+	}
+
+	it("broadcasts changes, undo and redo to connected stores", async () => {
+		const a = createStore();
+		const b = createStore();
+		connect(a, b);
+
+		a.state.user.name = "Jane Doe";
+		await delivered();
+		deepStrictEqual(b.state.user.name, "Jane Doe");
+		deepStrictEqual(b.history.undo.length, 0);
+
+		a.undo();
+		await delivered();
+		deepStrictEqual(b.state.user.name, USER_STATE_1.name);
+
+		b.state.user.age = 31;
+		await delivered();
+		deepStrictEqual(a.state.user, { ...USER_STATE_1, age: 31 });
+	});
+
+	it("validates patches on the receiving store", async () => {
+		const a = Joistor({ errorLog: false });
+		a.register({ user: Joi.object({ name: Joi.string(), email: Joi.string().allow(""), age: Joi.any() }) }, { user: { ...USER_STATE_1 } });
+		const b = createStore();
+		connect(a, b);
+
+		const errors = [];
+		b.onError((error) => errors.push(error.operation));
+		a.state.user.age = "unknown";
+		await delivered();
+		deepStrictEqual(b.state.user.age, USER_STATE_1.age);
+		deepStrictEqual(errors, ["patch"]);
+
+		// the store rejecting the patch sends its state back to the other stores
+		deepStrictEqual(a.state.user, USER_STATE_1);
+	});
+
+	it("does not send back fields the receiving store has not registered", async () => {
+		const a = createStore();
+		a.register({ extra: Joi.object({ n: Joi.number() }) }, { extra: { n: 1 } });
+		const b = createStore();
+		connect(a, b);
+
+		a.state.extra.n = 2;
+		await delivered();
+		deepStrictEqual(a.state.extra, { n: 2 });
+		deepStrictEqual(b.state.extra, undefined);
+	});
+
+	it("resolves concurrent writes to the same path by clock and store id", async () => {
+		const a = createStore();
+		const b = createStore();
+		connect(a, b);
+
+		a.state.user.name = "A";
+		b.state.user.name = "B";
+		await delivered();
+		deepStrictEqual([a.state.user.name, b.state.user.name], ["B", "B"]);
+
+		// the store with the newer clock wins regardless of its id
+		a.state.user.email = "a@example.com";
+		a.state.user.name = "A";
+		b.state.user.name = "B";
+		await delivered();
+		deepStrictEqual([a.state.user.name, b.state.user.name], ["A", "A"]);
+	});
+
+	it("keeps newer changes below a concurrently replaced object", async () => {
+		const a = createStore();
+		const b = createStore();
+		connect(a, b);
+
+		a.state.user.email = "a@example.com";
+		a.state.user.name = "A";
+		b.state.user = { name: "B", email: "b@example.com", age: 40 };
+		await delivered();
+		deepStrictEqual(a.state.user, { name: "A", email: "b@example.com", age: 40 });
+		deepStrictEqual(b.state.user, a.state.user);
+	});
+
+	it("converges concurrent inserts into the same array", async () => {
+		const schema = { user: Joi.object({ name: Joi.string(), tags: Joi.array().items(Joi.string()) }) };
+		const [a, b, c] = [0, 1, 2].map(() => {
+			const store = Joistor({ errorLog: false });
+			store.register(schema, { user: { name: "John Doe", tags: [] } });
+			return store;
+		});
+		const [ab, bc] = [0, 1].map(() => new MessageChannel());
+		channels.push(ab, bc);
+		connections.push(sync(a, ab.port1, { id: "a" }), sync(b, [ab.port2, bc.port1], { id: "b" }), sync(c, bc.port2, { id: "c" }));
+
+		a.state.user.tags.push("x");
+		c.state.user.tags.push("y");
+		await delivered();
+		deepStrictEqual(b.state.user, a.state.user);
+		deepStrictEqual(c.state.user, a.state.user);
+
+		// a write to an item concurrent with an insert before it
+		a.state.user.tags[0] = "z";
+		c.state.user.tags.unshift("w");
+		await delivered();
+		deepStrictEqual(b.state.user, a.state.user);
+		deepStrictEqual(c.state.user, a.state.user);
+	});
+
+	it("forwards messages between transports", async () => {
+		const hub = createStore();
+		const a = createStore();
+		const b = createStore();
+		const channelA = new MessageChannel();
+		const channelB = new MessageChannel();
+		channels.push(channelA, channelB);
+		connections.push(sync(hub, [channelA.port1, channelB.port1]), sync(a, channelA.port2), sync(b, channelB.port2));
+
+		a.state.user.name = "A";
+		await delivered();
+		deepStrictEqual([hub.state.user.name, b.state.user.name], ["A", "A"]);
+	});
+
+	it("applies messages received through more than one path once", async () => {
+		const schema = { sequence: Joi.array().items(Joi.number()) };
+		const [a, b, c] = [0, 1, 2].map(() => {
+			const store = Joistor({ errorLog: false });
+			store.register(schema, { sequence: [] });
+			return store;
+		});
+		const [ab, bc, ca] = [0, 1, 2].map(() => new MessageChannel());
+		channels.push(ab, bc, ca);
+		connections.push(sync(a, [ab.port1, ca.port2]), sync(b, [ab.port2, bc.port1]), sync(c, [bc.port2, ca.port1]));
+
+		a.state.sequence.push(7);
+		await delivered();
+		deepStrictEqual([a.state.sequence, b.state.sequence, c.state.sequence], [[7], [7], [7]]);
+	});
+});
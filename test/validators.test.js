@@ -0,0 +1,139 @@
+import { deepStrictEqual } from "assert";
+
+import Joi from "joi";
+import Joistor from "../joistor.js";
+import { functionValidator, jsonSchemaValidator, toValidator } from "../validators.js";
+
+const USER_JSON_SCHEMA = {
+	type: "object",
+	required: ["name"],
+	additionalProperties: false,
+	properties: {
+		name: { type: "string", minLength: 1 },
+		age: { type: "integer", minimum: 0 },
+		tags: { type: "array", items: { $ref: "#/$defs/tag" } },
+	},
+	$defs: { tag: { enum: ["admin", "user"] } },
+};
+
+describe("Validators", () => {
+	it("json schema validator reports the details of each invalid path", () => {
+		const validator = jsonSchemaValidator(USER_JSON_SCHEMA);
+		deepStrictEqual(validator.validate({ name: "John Doe", age: 30, tags: ["admin"] }).error, undefined);
+
+		const { error } = validator.validate({ name: "", age: -1.5, tags: ["guest"], email: "" });
+		deepStrictEqual(
+			error.details.map(({ path, type }) => [path.join("."), type]),
+			[
+				["name", "minLength"],
+				["age", "type"],
+				["tags.0", "enum"],
+				["email", "additionalProperties"],
+			]
+		);
+	});
+
+	it("function validator accepts booleans, messages and detailed errors", () => {
+		deepStrictEqual(functionValidator(() => true).validate(1).error, undefined);
+		deepStrictEqual(functionValidator(() => false).validate(1).error.message, "value is invalid");
+		deepStrictEqual(functionValidator(() => "must be even").validate(1).error.message, "must be even");
+
+		const { error } = functionValidator(() => [{ message: "name is required", path: "name" }]).validate({});
+		deepStrictEqual(error.details, [{ message: "name is required", path: ["name"], type: "function" }]);
+	});
+
+	it("schemas are detected as joi, function or JSON Schema validators", () => {
+		deepStrictEqual(toValidator(Joi.number()).validate("1").value, 1);
+		deepStrictEqual(toValidator(Joi.number()).validate("1", { strict: true }).error.details[0].type, "number.base");
+		deepStrictEqual(toValidator((value) => value > 0).validate(0).error.message, "value is invalid");
+		deepStrictEqual(toValidator({ type: "string" }).validate(0).error.message, 'value must be of type string');
+	});
+
+	it("a store can mix joi, JSON Schema and function validators", async () => {
+		const store = Joistor({ errorLog: false });
+		store.register(
+			{
+				user: USER_JSON_SCHEMA,
+				count: (count) => count >= 0 || "count must be positive",
+				label: Joi.string(),
+			},
+			{ user: { name: "John Doe" }, count: 0, label: "label" }
+		);
+		store.register({ username: async (name) => name !== "taken" || "name is taken" }, { username: "" }, { async: true });
+
+		const errors = [];
+		store.onError((error) => errors.push(error.path));
+		store.state.user.age = -1;
+		store.state.count = -1;
+		store.state.label = 1;
+		store.state.user.age = 30;
+		store.state.count = 2;
+		deepStrictEqual(store.state.user, { name: "John Doe", age: 30 });
+		deepStrictEqual(store.state.count, 2);
+		deepStrictEqual(errors, ["user.age", "count", "label"]);
+		deepStrictEqual(Object.keys(store.errors), []);
+
+		store.state.username = "taken";
+		await store.settled();
+		store.state.username = "free";
+		await store.settled();
+		deepStrictEqual(store.state.username, "free");
+		deepStrictEqual(errors, ["user.age", "count", "label", "username"]);
+	});
+
+	it("register derives the default state from the schema", () => {
+		const store = Joistor();
+		const settings = Joi.object({
+			theme: Joi.string().default("dark"),
+			pageSize: Joi.number().default(() => 50),
+			filters: Joi.object({ archived: Joi.boolean().default(false) }),
+			tags: Joi.array().items(Joi.string()),
+			label: Joi.string(),
+		});
+		store.register({ settings, count: { type: "integer", default: 0 } });
+		deepStrictEqual(store.state.settings, { theme: "dark", pageSize: 50, filters: { archived: false }, tags: [] });
+		deepStrictEqual(store.state.count, 0);
+
+		store.state.settings.theme = "light";
+		store.reset("settings");
+		deepStrictEqual(store.state.settings.theme, "dark");
+	});
+
+	it("describe exports the registered schemas as JSON Schema", () => {
+		const store = Joistor();
+		const user = Joi.object({
+			name: Joi.string().min(1).required().description("full name"),
+			age: Joi.number().integer().min(0),
+			role: Joi.string().valid("admin", "user").default("user"),
+			tags: Joi.array().items(Joi.string()).max(5),
+			nickname: Joi.string().allow(null),
+		});
+		store.register({ user, count: { type: "integer" }, even: (value) => value % 2 === 0 }, { user: { name: "John Doe" }, count: 0, even: 0 });
+
+		deepStrictEqual(store.describe(), {
+			$schema: "https://json-schema.org/draft/2020-12/schema",
+			type: "object",
+			properties: {
+				user: {
+					type: "object",
+					properties: {
+						name: { type: "string", minLength: 1, description: "full name" },
+						age: { type: "integer", minimum: 0 },
+						role: { enum: ["admin", "user"], default: "user" },
+						tags: { type: "array", items: { type: "string" }, maxItems: 5 },
+						nickname: { type: ["string", "null"] },
+					},
+					required: ["name"],
+					additionalProperties: false,
+				},
+				count: { type: "integer" },
+				even: {},
+			},
+			required: ["user", "count", "even"],
+		});
+
+		// the exported schema validates the state
+		const { error } = jsonSchemaValidator(store.describe()).validate(store.getSnapshot());
+		deepStrictEqual(error, undefined);
+	});
+});
@@ -0,0 +1,342 @@
+/**
+ * Validator adapters for Joistor. A validator is an object with a validate(value, opts) function returning
+ * { value, error } and optionally a validateAsync(value, opts) function resolving to the value or rejecting with the
+ * error. Errors have a message and details, a list of { message, path, type } for each invalid path.
+ * The options are named after the joi options: strict, abortEarly, stripUnknown, allowUnknown and externals (false
+ * when asynchronous checks must be skipped), validators ignore the options they do not support.
+ * Validators may also have a defaults() function returning the default state of the schema, used when a field is
+ * registered without a default state, and a describe() function returning the schema as JSON Schema.
+ * @example
+ * register({ user: jsonSchemaValidator({ type: "object", properties: { name: { type: "string" } } }) }, { user: {} })
+ * register({ count: functionValidator((count) => count >= 0 || "count must be positive") }, { count: 0 })
+ */
+
+/**
+ * Function for creating a validator from a schema. Joi schemas, functions and validators are detected, other objects
+ * are treated as JSON Schemas.
+ * @param {*} schema - joi schema, JSON Schema, validation function or validator
+ * @returns {object} validator
+ */
+export function toValidator(schema) {
+	if (isJoiSchema(schema)) return joiValidator(schema);
+	if (typeof schema === "function") return functionValidator(schema);
+	if (schema && typeof schema.validate === "function") return schema;
+	return jsonSchemaValidator(schema);
+}
+
+/**
+ * Function for creating a validator from a joi schema
+ * @param {object} schema - joi schema
+ * @returns {object} validator
+ * @example
+ * const validator = joiValidator(Joi.object({ name: Joi.string() }))
+ */
+export function joiValidator(schema) {
+	const withOpts = ({ strict = false, ...joiOpts } = {}) => [strict ? schema.strict() : schema, joiOpts];
+
+	return {
+		schema,
+		validate: (value, opts) => {
+			const [joiSchema, joiOpts] = withOpts(opts);
+			return joiSchema.validate(value, joiOpts);
+		},
+		validateAsync: (value, opts) => {
+			const [joiSchema, joiOpts] = withOpts(opts);
+			return joiSchema.validateAsync(value, joiOpts);
+		},
+		defaults: () => joiDefaults(schema.describe()),
+		describe: () => joiJsonSchema(schema.describe()),
+	};
+}
+
+/**
+ * Function for creating a validator from a validation function. The function returns true or undefined for valid
+ * values, and false, an error message, an error or a list of error messages or { message, path } objects for invalid
+ * values. Functions returning a promise are only run by validateAsync, for fields registered with async validation.
+ * @param {function} fn - validation function called with the value
+ * @returns {object} validator
+ * @example
+ * const validator = functionValidator((user) => user.name !== "" || "name is required")
+ */
+export function functionValidator(fn) {
+	return {
+		validate: (value, opts = {}) => {
+			const result = fn(value);
+			// asynchronous checks are skipped like joi externals
+			if (result && typeof result.then === "function") {
+				if (opts.externals === false) return { value };
+				return { value, error: new Error("Asynchronous validation functions require fields registered with async validation") };
+			}
+			return functionResult(value, result);
+		},
+		validateAsync: async (value) => {
+			const { error } = functionResult(value, await fn(value));
+			if (error) throw error;
+			return value;
+		},
+	};
+}
+
+/**
+ * Function for creating a validator from a JSON Schema. The built-in validator supports type, enum, const,
+ * properties, required, additionalProperties, items, the length, size and range keywords, pattern, allOf, anyOf, oneOf,
+ * not and local $ref. Other validators can be used with opts.compile, e.g. ajv.compile.
+ * @param {object} schema - JSON Schema
+ * @param {object} opts - options for configuring the validator
+ * @param {function} opts.compile - function compiling the schema to a function returning true for valid values and
+ * setting its errors property to a list of { instancePath, message, keyword } otherwise
+ * @returns {object} validator
+ * @example
+ * const validator = jsonSchemaValidator({ type: "object", required: ["name"], properties: { name: { type: "string" } } })
+ * const validator = jsonSchemaValidator(schema, { compile: (schema) => ajv.compile(schema) })
+ */
+export function jsonSchemaValidator(schema, opts = {}) {
+	const compiled = opts.compile ? opts.compile(schema) : null;
+
+	return {
+		schema,
+		defaults: () => jsonSchemaDefaults(schema, schema),
+		describe: () => schema,
+		validate: (value) => {
+			let details;
+			if (compiled) {
+				details = compiled(value) ? [] : (compiled.errors || []).map(compiledDetail);
+			} else {
+				details = [];
+				checkSchema(schema, value, [], details, schema);
+			}
+			return details.length === 0 ? { value } : { value, error: validationError(details) };
+		},
+	};
+}
+
+function joiDefaults(description) {
+	const flags = description.flags || {};
+	if ("default" in flags) {
+		const { default: value } = flags;
+		if (typeof value === "function") return value();
+		// deep defaults are built from the defaults of the keys
+		if (!(value && value.special === "deep")) return value;
+	}
+
+	if (description.type === "object") {
+		const keys = Object.entries(description.keys || {}).map(([key, keyDescription]) => [key, joiDefaults(keyDescription)]);
+		return Object.fromEntries(keys.filter(([, value]) => value !== undefined));
+	}
+	if (description.type === "array") return [];
+	return undefined;
+}
+
+function joiJsonSchema(description) {
+	const flags = description.flags || {};
+	const rules = Object.fromEntries((description.rules || []).map(({ name, args = {} }) => [name, args]));
+	const allow = (description.allow || []).filter((value) => value === null || typeof value !== "object");
+
+	let jsonSchema = {};
+	switch (description.type) {
+		case "string":
+			jsonSchema = { type: "string" };
+			if (rules.min) jsonSchema.minLength = rules.min.limit;
+			if (rules.max) jsonSchema.maxLength = rules.max.limit;
+			if (rules.length) jsonSchema.minLength = jsonSchema.maxLength = rules.length.limit;
+			if (rules.pattern) jsonSchema.pattern = String(rules.pattern.regex).replace(/^\/(.*)\/[a-z]*$/, "$1");
+			if (rules.email) jsonSchema.format = "email";
+			if (rules.uri) jsonSchema.format = "uri";
+			if (rules.guid) jsonSchema.format = "uuid";
+			if (rules.isoDate) jsonSchema.format = "date-time";
+			break;
+		case "number":
+			jsonSchema = { type: rules.integer ? "integer" : "number" };
+			if (rules.min) jsonSchema.minimum = rules.min.limit;
+			if (rules.max) jsonSchema.maximum = rules.max.limit;
+			if (rules.greater) jsonSchema.exclusiveMinimum = rules.greater.limit;
+			if (rules.less) jsonSchema.exclusiveMaximum = rules.less.limit;
+			break;
+		case "boolean":
+			jsonSchema = { type: "boolean" };
+			break;
+		case "date":
+			jsonSchema = { type: "string", format: "date-time" };
+			break;
+		case "array": {
+			jsonSchema = { type: "array" };
+			const items = (description.items || []).map(joiJsonSchema);
+			if (items.length === 1) jsonSchema.items = items[0];
+			if (items.length > 1) jsonSchema.items = { anyOf: items };
+			if (rules.min) jsonSchema.minItems = rules.min.limit;
+			if (rules.max) jsonSchema.maxItems = rules.max.limit;
+			if (rules.length) jsonSchema.minItems = jsonSchema.maxItems = rules.length.limit;
+			break;
+		}
+		case "object": {
+			jsonSchema = { type: "object" };
+			if (description.keys) {
+				const keys = Object.entries(description.keys);
+				jsonSchema.properties = Object.fromEntries(keys.map(([key, keyDescription]) => [key, joiJsonSchema(keyDescription)]));
+				const required = keys.filter(([, keyDescription]) => (keyDescription.flags || {}).presence === "required").map(([key]) => key);
+				if (required.length > 0) jsonSchema.required = required;
+				jsonSchema.additionalProperties = Boolean(flags.unknown);
+			}
+			break;
+		}
+		case "alternatives":
+			jsonSchema = { anyOf: (description.matches || []).filter(({ schema }) => schema).map(({ schema }) => joiJsonSchema(schema)) };
+			break;
+		default:
+			// other types, e.g. any, are not constrained
+			break;
+	}
+
+	if (flags.only) {
+		jsonSchema = { enum: allow };
+	} else if (allow.includes(null) && jsonSchema.type) {
+		jsonSchema.type = [jsonSchema.type, "null"];
+	}
+	if (flags.label) jsonSchema.title = flags.label;
+	if (flags.description) jsonSchema.description = flags.description;
+	if ("default" in flags && typeof flags.default !== "function" && !(flags.default && flags.default.special)) {
+		jsonSchema.default = flags.default;
+	}
+	return jsonSchema;
+}
+
+function jsonSchemaDefaults(schema, root) {
+	if (!schema || typeof schema !== "object") return undefined;
+	if (schema.$ref) return jsonSchemaDefaults(resolveRef(schema.$ref, root), root);
+	if ("default" in schema) return schema.default;
+
+	const types = [].concat(schema.type || []);
+	if (types.includes("object") || (types.length === 0 && schema.properties)) {
+		const properties = Object.entries(schema.properties || {}).map(([key, property]) => [key, jsonSchemaDefaults(property, root)]);
+		return Object.fromEntries(properties.filter(([, value]) => value !== undefined));
+	}
+	if (types.includes("array")) return [];
+	return undefined;
+}
+
+function isJoiSchema(schema) {
+	return Boolean(schema) && typeof schema === "object" && "$_root" in schema && typeof schema.validate === "function";
+}
+
+function functionResult(value, result) {
+	if (result === true || result === undefined) return { value };
+
+	let details;
+	if (result === false) {
+		details = [{ message: "value is invalid", path: [], type: "function" }];
+	} else if (result instanceof Error) {
+		return { value, error: result };
+	} else {
+		details = [].concat(result).map((item) => {
+			const { message, path = [] } = typeof item === "string" ? { message: item } : item;
+			return { message, path: [].concat(path), type: "function" };
+		});
+	}
+	return { value, error: validationError(details) };
+}
+
+function compiledDetail({ instancePath = "", message, keyword }) {
+	const path = instancePath
+		.split("/")
+		.slice(1)
+		.map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+	return { message: `${label(path)} ${message}`, path, type: keyword };
+}
+
+function validationError(details) {
+	const error = new Error(details.map(({ message }) => message).join(". "));
+	error.name = "ValidationError";
+	error.details = details;
+	return error;
+}
+
+function label(path) {
+	return path.length > 0 ? `"${path[path.length - 1]}"` : "value";
+}
+
+function typeOf(value) {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "array";
+	if (Number.isInteger(value)) return "integer";
+	return typeof value;
+}
+
+function matchesType(value, type) {
+	const actual = typeOf(value);
+	return actual === type || (type === "number" && actual === "integer");
+}
+
+function resolveRef(ref, root) {
+	if (!ref.startsWith("#")) throw new Error(`Only local $ref are supported, got ${ref}`);
+	return ref
+		.slice(1)
+		.split("/")
+		.slice(1)
+		.reduce((schema, segment) => schema[segment.replace(/~1/g, "/").replace(/~0/g, "~")], root);
+}
+
+function checkSchema(schema, value, path, details, root) {
+	if (schema === true || schema === undefined) return;
+	const fail = (type, message) => details.push({ message: `${label(path)} ${message}`, path, type });
+	if (schema === false) return fail("false", "is not allowed");
+	if (schema.$ref) return checkSchema(resolveRef(schema.$ref, root), value, path, details, root);
+
+	if (schema.type) {
+		const types = [].concat(schema.type);
+		if (!types.some((type) => matchesType(value, type))) return fail("type", `must be of type ${types.join(" or ")}`);
+	}
+	if (schema.enum && !schema.enum.some((item) => isEqualJson(item, value))) {
+		fail("enum", `must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(", ")}`);
+	}
+	if ("const" in schema && !isEqualJson(schema.const, value)) fail("const", `must be ${JSON.stringify(schema.const)}`);
+
+	if (typeof value === "number") {
+		if (schema.minimum !== undefined && value < schema.minimum) fail("minimum", `must be >= ${schema.minimum}`);
+		if (schema.maximum !== undefined && value > schema.maximum) fail("maximum", `must be <= ${schema.maximum}`);
+		if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail("exclusiveMinimum", `must be > ${schema.exclusiveMinimum}`);
+		if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail("exclusiveMaximum", `must be < ${schema.exclusiveMaximum}`);
+	}
+	if (typeof value === "string") {
+		if (schema.minLength !== undefined && value.length < schema.minLength) fail("minLength", `must have at least ${schema.minLength} characters`);
+		if (schema.maxLength !== undefined && value.length > schema.maxLength) fail("maxLength", `must have at most ${schema.maxLength} characters`);
+		if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) fail("pattern", `must match ${schema.pattern}`);
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) fail("minItems", `must have at least ${schema.minItems} items`);
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) fail("maxItems", `must have at most ${schema.maxItems} items`);
+		if (schema.items !== undefined) value.forEach((item, i) => checkSchema(schema.items, item, [...path, i], details, root));
+	} else if (typeOf(value) === "object") {
+		const properties = schema.properties || {};
+		(schema.required || []).forEach((key) => {
+			if (!(key in value)) details.push({ message: `"${key}" is required`, path: [...path, key], type: "required" });
+		});
+		Object.keys(value).forEach((key) => {
+			if (key in properties) {
+				checkSchema(properties[key], value[key], [...path, key], details, root);
+			} else if (schema.additionalProperties !== undefined) {
+				if (schema.additionalProperties === false) {
+					details.push({ message: `"${key}" is not allowed`, path: [...path, key], type: "additionalProperties" });
+				} else {
+					checkSchema(schema.additionalProperties, value[key], [...path, key], details, root);
+				}
+			}
+		});
+	}
+
+	const errorsOf = (subschema) => {
+		const subdetails = [];
+		checkSchema(subschema, value, path, subdetails, root);
+		return subdetails;
+	};
+	if (schema.allOf) schema.allOf.forEach((subschema) => checkSchema(subschema, value, path, details, root));
+	if (schema.anyOf && !schema.anyOf.some((subschema) => errorsOf(subschema).length === 0)) fail("anyOf", "must match a schema in anyOf");
+	if (schema.oneOf && schema.oneOf.filter((subschema) => errorsOf(subschema).length === 0).length !== 1) {
+		fail("oneOf", "must match exactly one schema in oneOf");
+	}
+	if (schema.not && errorsOf(schema.not).length === 0) fail("not", "must not match the schema in not");
+}
+
+function isEqualJson(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}